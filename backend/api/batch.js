@@ -0,0 +1,275 @@
+// api/batch.js
+// Batch transcripts for a playlist, a channel's latest uploads or a list of video IDs.
+// Videos run through the same cached extraction chain as /api/transcript with bounded
+// concurrency; the response lists per-video results and failures, or (download=1) a ZIP
+// with one file per video plus a manifest.json.
+//
+//   BATCH_MAX_VIDEOS     upper bound for maxVideos (default 100)
+//   BATCH_CONCURRENCY    default number of videos extracted at once (default 3)
+
+import { SUBTITLE_FORMATS, normalizeFormat, supportedFormats } from '../lib/formatters.js';
+import { parseListSource, parseVideoId } from '../lib/youtube-url.js';
+import { resolveVideoList } from '../lib/playlist.js';
+import { mapWithConcurrency } from '../lib/concurrency.js';
+import { createTrace, resolveRequestId } from '../lib/trace.js';
+import { parseMethodList, resolveStrategy } from '../lib/strategy.js';
+import { recordAttempt } from '../lib/method-health.js';
+import { toYouTubeError } from '../lib/youtube-errors.js';
+import { isTruthyParam, requestParams } from '../lib/download.js';
+import { createZip } from '../lib/zip.js';
+import { LAYOUTS, normalizeLayout } from '../lib/paragraphs.js';
+import { CLEAN_HINT, resolveCleanOptions } from '../lib/clean.js';
+import { attachMetadata, optionalMetadata } from '../lib/metadata.js';
+import { withCors } from '../lib/cors.js';
+import { KNOWN_METHODS, getTranscript } from './transcript.js';
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const MAX_VIDEOS = envNumber('BATCH_MAX_VIDEOS', 100);
+const DEFAULT_MAX_VIDEOS = Math.min(25, MAX_VIDEOS);
+const DEFAULT_CONCURRENCY = envNumber('BATCH_CONCURRENCY', 3);
+// Above this, parallel scraping mostly raises the risk of being blocked
+const MAX_CONCURRENCY = 5;
+
+function badRequest(message, hint) {
+  return Object.assign(new Error(message), { status: 400, hint });
+}
+
+function clampInt(value, fallback, max) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(n, max);
+}
+
+// videoIds as an array or a comma/whitespace separated string; each entry may be a URL
+function parseVideoIdList(videoIds) {
+  const entries = Array.isArray(videoIds) ? videoIds : String(videoIds).split(/[\s,]+/);
+  const ids = [];
+  for (const entry of entries.map(e => String(e).trim()).filter(Boolean)) {
+    const id = parseVideoId(entry);
+    if (!id) throw badRequest(`Invalid YouTube URL or video ID in videoIds: ${entry.slice(0, 200)}`);
+    ids.push(id);
+  }
+  return [...new Set(ids)];
+}
+
+// Resolves to { type, id, title, videoIds } from `url` (playlist/channel) or `videoIds`
+async function resolveBatchSource({ url, videoIds, apiKey }, maxVideos) {
+  if (videoIds) {
+    const ids = parseVideoIdList(videoIds);
+    if (ids.length === 0) throw badRequest('videoIds is empty');
+    return { type: 'videos', id: null, title: null, videoIds: ids.slice(0, maxVideos) };
+  }
+
+  if (!url) {
+    throw badRequest('Missing required parameter: url (playlist or channel) or videoIds');
+  }
+
+  const source = parseListSource(url);
+  if (!source) {
+    throw badRequest(
+      `Not a YouTube playlist or channel: ${String(url).slice(0, 200)}`,
+      'Use a playlist URL (?list=...), a channel URL (/@handle, /channel/UC..., /c/..., /user/...) or a playlist/channel ID'
+    );
+  }
+  return resolveVideoList(source, { maxVideos, apiKey });
+}
+
+// Zip entry name: position keeps playlist order when the archive is listed alphabetically
+function entryName(index, total, videoId, extension) {
+  const width = String(total).length;
+  return `${String(index + 1).padStart(width, '0')}-${videoId}.${extension}`;
+}
+
+// ============================================
+// API HANDLER
+// ============================================
+async function handler(req, res) {
+  const trace = createTrace(resolveRequestId(req), { onAttempt: recordAttempt });
+  res.setHeader('X-Request-Id', trace.requestId);
+
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    res.status(405).json({
+      error: 'Method not allowed. Use GET or POST.',
+      hint: 'Send { url (playlist or channel) | videoIds, lang?, translateTo?, format?, layout?, clean?, chapters?, includeMetadata?, maxVideos?, concurrency?, apiKey?, methods?, mode?, timeoutMs?, fresh?, download? }'
+    });
+    return;
+  }
+
+  try {
+    console.log('📦 Batch Transcript Service called');
+
+    const params = requestParams(req);
+    const {
+      lang,
+      translateTo,
+      format = 'txt',
+      layout = 'segments',
+      apiKey,
+      methods,
+      mode,
+      timeoutMs
+    } = params;
+
+    const outputFormat = normalizeFormat(format);
+    if (!outputFormat) {
+      throw badRequest(`Unsupported format: ${format}`, `Supported formats: ${supportedFormats().join(', ')}`);
+    }
+
+    const outputLayout = normalizeLayout(layout);
+    if (!outputLayout) {
+      throw badRequest(`Unsupported layout: ${layout}`, `Supported layouts: ${LAYOUTS.join(', ')}`);
+    }
+
+    let clean;
+    try {
+      clean = resolveCleanOptions(params.clean);
+    } catch (error) {
+      throw badRequest(error.message, CLEAN_HINT);
+    }
+
+    let strategy;
+    try {
+      strategy = resolveStrategy({ methods, mode, timeoutMs }, KNOWN_METHODS);
+    } catch (error) {
+      throw badRequest(error.message, `methods: any of ${KNOWN_METHODS.join(', ')}; mode: sequential | race`);
+    }
+    // A playlist of Whisper runs is an expensive surprise; use /jobs per video instead
+    if (strategy.methods?.includes('whisper')) {
+      if (parseMethodList(methods, KNOWN_METHODS)?.includes('whisper')) {
+        throw badRequest('whisper is not available for batch requests', 'Transcribe individual videos with POST /jobs');
+      }
+      // Only the server-wide EXTRACTION_METHODS listed it; batches run the caption methods alone
+      const captionMethods = strategy.methods.filter(name => name !== 'whisper');
+      strategy = { ...strategy, methods: captionMethods.length > 0 ? captionMethods : null };
+    }
+
+    const maxVideos = clampInt(params.maxVideos, DEFAULT_MAX_VIDEOS, MAX_VIDEOS);
+    const concurrency = clampInt(params.concurrency, DEFAULT_CONCURRENCY, MAX_CONCURRENCY);
+    const includeMetadata = isTruthyParam(params.includeMetadata);
+    const source = await resolveBatchSource(params, maxVideos);
+
+    console.log(`📦 [${trace.requestId}] ${source.videoIds.length} video(s) from ${source.type}${source.id ? ` ${source.id}` : ''}, concurrency ${concurrency}`);
+
+    const results = await mapWithConcurrency(source.videoIds, concurrency, async videoId => {
+      // Each video gets its own trace so per-video attempts stay readable in the logs
+      const videoTrace = createTrace(`${trace.requestId}:${videoId}`, { onAttempt: recordAttempt });
+      const metadataResult = includeMetadata
+        ? optionalMetadata(videoId, { apiKey, lang, fresh: isTruthyParam(params.fresh) })
+        : null;
+      try {
+        const { data, cache } = await getTranscript(videoTrace, videoId, {
+          lang,
+          apiKey,
+          translateTo,
+          strategy,
+          outputFormat,
+          layout: outputLayout,
+          clean,
+          chapters: isTruthyParam(params.chapters),
+          fresh: isTruthyParam(params.fresh)
+        });
+        const result = {
+          videoId,
+          success: true,
+          videoTitle: data.videoTitle,
+          language: data.language,
+          translated: data.translated,
+          source: data.source,
+          confidence: data.confidence,
+          quality: data.quality,
+          segmentCount: data.segmentCount,
+          // Outline only; the grouped segments are in the single-video response
+          ...(data.chapters ? { chapters: data.chapters.map(({ title, start, end }) => ({ title, start, end })) } : {}),
+          transcript: data.transcript,
+          cached: cache.hit
+        };
+        return metadataResult ? attachMetadata(result, await metadataResult) : result;
+      } catch (error) {
+        const failure = toYouTubeError(error);
+        return {
+          videoId,
+          success: false,
+          error: failure.message,
+          code: failure.code,
+          retryable: failure.retryable
+        };
+      }
+    });
+
+    const succeeded = results.filter(r => r.success).length;
+    console.log(`✅ Batch done: ${succeeded}/${results.length} succeeded`);
+
+    const summary = {
+      source: { type: source.type, id: source.id, title: source.title },
+      format: outputFormat,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded
+    };
+
+    if (isTruthyParam(params.download)) {
+      const { extension } = SUBTITLE_FORMATS[outputFormat];
+      const files = results
+        .map((result, index) => ({ result, name: entryName(index, results.length, result.videoId, extension) }))
+        .filter(({ result }) => result.success)
+        .map(({ result, name }) => ({ name, data: result.transcript }));
+      // The manifest carries titles and failures, which have no file of their own
+      const manifest = {
+        ...summary,
+        requestId: trace.requestId,
+        results: results.map(({ transcript, ...rest }) => rest)
+      };
+      files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+      const zip = createZip(files);
+      const archiveName = source.id ? `${source.type}-${source.id}` : `batch-${trace.requestId.slice(0, 8)}`;
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${archiveName}.zip"`);
+      res.setHeader('Content-Length', String(zip.length));
+      res.status(200).end(zip);
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...summary, results },
+      message: `Extracted ${succeeded} of ${results.length} transcript(s)`,
+      requestId: trace.requestId,
+      durationMs: trace.elapsedMs()
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      res.status(400).json({
+        success: false,
+        error: error.message,
+        ...(error.hint ? { hint: error.hint } : {}),
+        requestId: trace.requestId
+      });
+      return;
+    }
+
+    const failure = toYouTubeError(error);
+    console.error(`❌ Batch service error (${failure.code}):`, failure.message);
+
+    res.status(failure.status).json({
+      success: false,
+      error: failure.message,
+      code: failure.code,
+      retryable: failure.retryable,
+      message: 'Batch transcript extraction failed',
+      ...(failure.hint ? { hint: failure.hint } : {}),
+      requestId: trace.requestId,
+      durationMs: trace.elapsedMs()
+    });
+  }
+}
+
+export default withCors(handler, {
+  methods: ['GET', 'POST'],
+  exposeHeaders: ['X-Request-Id', 'Content-Disposition']
+});
@@ -1,11 +1,9 @@
-export default async function handler(req, res) {
-    if (req.method === "OPTIONS") {
-      res.setHeader("Access-Control-Allow-Origin", "*");
-      res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
-      res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-      return res.status(204).end();
-    }
-    res.setHeader("Access-Control-Allow-Origin", "*");
-    res.json({ ok: true });
-  }
-  
\ No newline at end of file
+import { getMethodHealth } from "../lib/method-health.js";
+import { withCors } from "../lib/cors.js";
+
+// Method stats are per warm instance; this reports the instance that serves the request
+async function handler(req, res) {
+  res.json({ ok: true, extraction: getMethodHealth() });
+}
+
+export default withCors(handler, { methods: ["GET"] });
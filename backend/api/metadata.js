@@ -0,0 +1,65 @@
+// api/metadata.js
+// Video metadata without fetching captions: title, channel, duration, publish date,
+// description, keywords, thumbnails, view count and live/short flags, merged from the
+// Data API (with apiKey), Innertube and youtube-caption-extractor (see lib/metadata.js)
+
+import { getVideoMetadata } from '../lib/metadata.js';
+import { isTruthyParam, requestParams } from '../lib/download.js';
+import { VIDEO_ID_HINT, videoIdFromParams } from '../lib/youtube-url.js';
+import { toYouTubeError } from '../lib/youtube-errors.js';
+import { withCors } from '../lib/cors.js';
+
+// Main API handler
+async function handler(req, res) {
+  // POST with a JSON body, or GET with query parameters for shareable links
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    res.status(405).json({
+      error: 'Method not allowed. Use GET or POST.',
+      hint: 'Send { url | videoId, lang?, apiKey?, fresh? } as a JSON body or as GET query parameters'
+    });
+    return;
+  }
+
+  try {
+    console.log('🏷️ Video Metadata Service called');
+
+    const params = requestParams(req);
+    const { lang = 'en', apiKey } = params;
+
+    const { videoId, error: videoIdError } = videoIdFromParams(params);
+    if (videoIdError) {
+      res.status(400).json({ error: videoIdError, hint: `${VIDEO_ID_HINT}. Optional: apiKey for YouTube Data API` });
+      return;
+    }
+
+    const { data, cache } = await getVideoMetadata(videoId, { apiKey, lang, fresh: isTruthyParam(params.fresh) });
+    const answered = data.sources.filter(s => s.success).map(s => s.name);
+
+    console.log(`✅ Metadata for ${videoId} from ${answered.join(', ')}`);
+
+    res.setHeader('X-Cache', cache.hit ? 'HIT' : 'MISS');
+    res.status(200).json({
+      success: true,
+      data,
+      message: `Metadata merged from ${answered.length} source(s)`
+    });
+
+  } catch (error) {
+    const failure = toYouTubeError(error);
+    console.error(`❌ Metadata error (${failure.code}):`, failure.message);
+
+    res.status(failure.status).json({
+      success: false,
+      error: failure.message,
+      code: failure.code,
+      retryable: failure.retryable,
+      message: 'Video metadata lookup failed',
+      ...(failure.hint ? { hint: failure.hint } : {})
+    });
+  }
+}
+
+export default withCors(handler, {
+  methods: ['GET', 'POST'],
+  exposeHeaders: ['X-Cache']
+});
@@ -0,0 +1,100 @@
+// api/tracks.js
+// Caption track discovery: lists every caption track (manual and auto-generated)
+// plus the languages YouTube can auto-translate into, without fetching any captions
+
+import {
+  describeCaptionTrack,
+  fetchPlayerResponse,
+  getCaptionTracks,
+  getTranslationLanguages
+} from '../lib/innertube.js';
+import { requestParams } from '../lib/download.js';
+import { VIDEO_ID_HINT, videoIdFromParams } from '../lib/youtube-url.js';
+import { assertPlayable, toYouTubeError } from '../lib/youtube-errors.js';
+import { withCors } from '../lib/cors.js';
+
+// Innertube clients to try in order; the first one that returns caption tracks wins
+const TRACK_CLIENTS = ['WEB', 'ANDROID'];
+
+async function listTracks(videoId) {
+  let lastResponse = null;
+  let lastError = null;
+
+  for (const client of TRACK_CLIENTS) {
+    try {
+      console.log(`🔍 Listing caption tracks via Innertube (${client} client)...`);
+      const playerResponse = await fetchPlayerResponse(videoId, { client });
+      lastResponse = playerResponse;
+      if (getCaptionTracks(playerResponse).length > 0) {
+        return playerResponse;
+      }
+      console.log(`⚠️ ${client} client returned no caption tracks`);
+    } catch (error) {
+      lastError = error;
+      console.log(`⚠️ ${client} client failed: ${error.message}`);
+    }
+  }
+
+  if (lastResponse) return lastResponse;
+  throw lastError || new Error('Could not fetch player response');
+}
+
+// Main API handler
+async function handler(req, res) {
+  // POST with a JSON body, or GET with query parameters for shareable links
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    res.status(405).json({
+      error: 'Method not allowed. Use GET or POST.',
+      hint: 'Send { url | videoId } as a JSON body or as GET query parameters'
+    });
+    return;
+  }
+
+  try {
+    console.log('📋 Caption Track Discovery Service called');
+
+    const { videoId, error: videoIdError } = videoIdFromParams(requestParams(req));
+    if (videoIdError) {
+      res.status(400).json({ error: videoIdError, hint: VIDEO_ID_HINT });
+      return;
+    }
+
+    const playerResponse = await listTracks(videoId);
+    const captionTracks = getCaptionTracks(playerResponse);
+    const tracks = captionTracks.map(describeCaptionTrack);
+    // No tracks may just mean no captions, or that YouTube will not play the video at all
+    if (tracks.length === 0) assertPlayable(playerResponse);
+    const translationLanguages = getTranslationLanguages(playerResponse);
+
+    console.log(`✅ Found ${tracks.length} caption track(s), ${translationLanguages.length} translation target(s)`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        videoId: videoId,
+        videoTitle: playerResponse.videoDetails?.title || 'Unknown',
+        hasCaptions: tracks.length > 0,
+        tracks,
+        translationLanguages
+      },
+      message: tracks.length > 0
+        ? `Found ${tracks.length} caption track(s)`
+        : 'This video has no caption tracks'
+    });
+
+  } catch (error) {
+    const failure = toYouTubeError(error);
+    console.error(`❌ Track discovery error (${failure.code}):`, failure.message);
+
+    res.status(failure.status).json({
+      success: false,
+      error: failure.message,
+      code: failure.code,
+      retryable: failure.retryable,
+      message: 'Caption track discovery failed',
+      ...(failure.hint ? { hint: failure.hint } : {})
+    });
+  }
+}
+
+export default withCors(handler, { methods: ['GET', 'POST'] });
@@ -2,13 +2,15 @@
 // YouTube Transcript Service using youtube-caption-extractor
 
 import { getSubtitles, getVideoDetails } from 'youtube-caption-extractor';
-
-// CORS headers
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-  'Access-Control-Allow-Methods': 'POST, OPTIONS'
-};
+import { formatTranscript, normalizeFormat, supportedFormats } from '../lib/formatters.js';
+import { isTruthyParam, requestParams, sendTranscriptFile, wantsDownload } from '../lib/download.js';
+import { VIDEO_ID_HINT, videoIdFromParams } from '../lib/youtube-url.js';
+import { toYouTubeError } from '../lib/youtube-errors.js';
+import { withCors } from '../lib/cors.js';
+import { cleanCaptionText } from '../lib/captions.js';
+import { CLEAN_HINT, cleanSegments, resolveCleanOptions } from '../lib/clean.js';
+import { groupByChapter, resolveChapters } from '../lib/chapters.js';
+import { attachMetadata, optionalMetadata } from '../lib/metadata.js';
 
 async function getTranscriptFromYouTube(videoId, lang = 'en') {
   console.log(`📥 Fetching transcript for: ${videoId}`);
@@ -24,8 +26,8 @@ async function getTranscriptFromYouTube(videoId, lang = 'en') {
     
     return {
       subtitles,
-      videoDetails,
-      transcript: formatTranscriptAsText(subtitles)
+      segments: toSegments(subtitles),
+      videoDetails
     };
     
   } catch (error) {
@@ -34,45 +36,24 @@ async function getTranscriptFromYouTube(videoId, lang = 'en') {
   }
 }
 
-function formatTranscriptAsText(subtitles) {
-  // Combine all subtitle text into one continuous transcript
-  return subtitles.map(item => item.text).join(' ');
-}
-
-function formatTranscriptAsSrt(subtitles) {
-  return subtitles.map((item, index) => {
-    const startTime = formatTime(parseFloat(item.start) * 1000);
-    const endTime = formatTime((parseFloat(item.start) + parseFloat(item.dur)) * 1000);
-    return `${index + 1}\n${startTime} --> ${endTime}\n${item.text}\n`;
-  }).join('\n');
-}
-
-function formatTime(milliseconds) {
-  const totalSeconds = Math.floor(milliseconds / 1000);
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = totalSeconds % 60;
-  const ms = milliseconds % 1000;
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')},${ms.toString().padStart(3, '0')}`;
+// Convert caption-extractor subtitles ({ start, dur } as strings, in seconds) to shared segments,
+// decoded the same way as captions parsed by lib/captions.js
+function toSegments(subtitles) {
+  return subtitles
+    .map(item => ({
+      start: parseFloat(item.start) || 0,
+      duration: parseFloat(item.dur) || 0,
+      text: cleanCaptionText(item.text)
+    }))
+    .filter(segment => segment.text);
 }
 
 // Main API handler
-export default async function handler(req, res) {
-  // Handle CORS preflight
-  if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.status(200).end();
-    return;
-  }
-
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
+async function handler(req, res) {
+  // POST with a JSON body, or GET with query parameters for shareable links
+  if (req.method !== 'POST' && req.method !== 'GET') {
     res.status(405).json({ 
-      error: 'Method not allowed. Use POST.' 
+      error: 'Method not allowed. Use GET or POST.' 
     });
     return;
   }
@@ -80,22 +61,54 @@ export default async function handler(req, res) {
   try {
     console.log('🚀 YouTube Caption Extractor Service called');
     
-    // Parse request body
-    const { videoId, format = 'txt', lang = 'en' } = req.body;
+    const params = requestParams(req);
+    const { format = 'txt', lang = 'en', translateTo } = params;
     
     // Validate required parameters
-    if (!videoId) {
-      res.setHeader('Access-Control-Allow-Origin', '*');
+    const { videoId, error: videoIdError } = videoIdFromParams(params);
+    if (videoIdError) {
       res.status(400).json({ 
-        error: 'Missing required parameter: videoId' 
+        error: videoIdError,
+        hint: VIDEO_ID_HINT
+      });
+      return;
+    }
+
+    // youtube-caption-extractor only exposes native tracks, so it cannot serve translations
+    if (translateTo) {
+      res.status(400).json({
+        error: 'translateTo is not supported by this endpoint',
+        hint: 'Use /api/transcript or /api/transcript-backup for auto-translated captions'
+      });
+      return;
+    }
+
+    const outputFormat = normalizeFormat(format);
+    if (!outputFormat) {
+      res.status(400).json({
+        error: `Unsupported format: ${format}`,
+        hint: `Supported formats: ${supportedFormats().join(', ')}`
       });
       return;
     }
     
+    let cleanOptions;
+    try {
+      cleanOptions = resolveCleanOptions(params.clean);
+    } catch (error) {
+      res.status(400).json({ error: error.message, hint: CLEAN_HINT });
+      return;
+    }
+
     console.log(`🎬 Processing video: ${videoId}`);
     console.log(`📝 Format: ${format}`);
     console.log(`🌍 Language: ${lang}`);
     
+    // getVideoDetails has no duration, so videoDuration needs includeMetadata
+    const metadataResult = isTruthyParam(params.includeMetadata) && !wantsDownload(params)
+      ? optionalMetadata(videoId, { lang, fresh: isTruthyParam(params.fresh) })
+      : null;
+
     // Get transcript from YouTube
     const result = await getTranscriptFromYouTube(videoId, lang);
     
@@ -105,54 +118,61 @@ export default async function handler(req, res) {
     
     console.log(`✅ Transcript fetched successfully`);
     console.log(`📊 Transcript segments: ${result.subtitles.length}`);
-    console.log(`📝 Total characters: ${result.transcript.length}`);
-    
     // Format the output
-    let output;
-    let contentType;
-    let filename;
-    
-    if (format.toLowerCase() === 'srt') {
-      output = formatTranscriptAsSrt(result.subtitles);
-      contentType = 'text/plain; charset=utf-8';
-      filename = `${videoId}.srt`;
-    } else {
-      output = result.transcript;
-      contentType = 'text/plain; charset=utf-8';
-      filename = `${videoId}.txt`;
-    }
+    const { segments, report: cleaning } = cleanSegments(result.segments, cleanOptions);
+    const extra = metadataResult ? await metadataResult : null;
+    const videoDuration = extra?.metadata?.durationSeconds ?? null;
+    const { chapters } = await resolveChapters(videoId, {
+      description: result.videoDetails?.description,
+      videoDuration,
+      markers: outputFormat === 'md' || isTruthyParam(params.chapters)
+    });
+    const output = formatTranscript(segments, outputFormat, {
+      language: lang,
+      title: result.videoDetails?.title || null,
+      chapters
+    });
     
     console.log('✅ Transcript formatting completed');
+
+    if (wantsDownload(params)) {
+      sendTranscriptFile(req, res, { videoId, format: outputFormat, text: output, source: 'youtube-caption-extractor' });
+      return;
+    }
     
     // Return success response
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     res.setHeader('X-Transcript-Source', 'youtube-caption-extractor');
+    const data = {
+      transcript: output,
+      format: outputFormat,
+      language: lang,
+      segments: segments.length,
+      source: 'youtube-caption-extractor',
+      videoId: videoId,
+      videoTitle: result.videoDetails?.title || 'Unknown',
+      videoDuration: videoDuration ?? 'Unknown',
+      ...(chapters.length > 0 ? { chapters: groupByChapter(segments, chapters) } : {}),
+      ...(cleaning ? { cleaning } : {})
+    };
     res.status(200).json({
       success: true,
-      data: {
-        transcript: output,
-        format: format.toLowerCase(),
-        language: lang,
-        segments: result.subtitles.length,
-        source: 'youtube-caption-extractor',
-        videoId: videoId,
-        videoTitle: result.videoDetails?.title || 'Unknown',
-        videoDuration: result.videoDetails?.duration || 'Unknown'
-      },
+      data: extra ? attachMetadata(data, extra) : data,
       message: 'Transcript extracted successfully from YouTube'
     });
     
   } catch (error) {
-    console.error('❌ Service error:', error.message);
+    const failure = toYouTubeError(error);
+    console.error(`❌ Service error (${failure.code}):`, failure.message);
     
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.status(500).json({
+    res.status(failure.status).json({
       success: false,
-      error: error.message,
+      error: failure.message,
+      code: failure.code,
+      retryable: failure.retryable,
       message: 'Transcript extraction failed',
-      hint: 'This video may not have captions available or they may be disabled.'
+      hint: failure.hint || 'This video may not have captions available or they may be disabled.'
     });
   }
 }
+
+export default withCors(handler, { methods: ['GET', 'POST'], exposeHeaders: ['Content-Disposition', 'X-Transcript-Source'] });
@@ -2,16 +2,24 @@
 // YouTube Transcript Service using youtube-transcript
 
 import { YoutubeTranscript } from 'youtube-transcript';
+import { formatTranscript, normalizeFormat, supportedFormats } from '../lib/formatters.js';
+import { requestParams, sendTranscriptFile, wantsDownload } from '../lib/download.js';
+import { VIDEO_ID_HINT, videoIdFromParams } from '../lib/youtube-url.js';
+import { getTranslationLanguages, httpError, selectTranslationTrack, withTranslationLanguage } from '../lib/innertube.js';
+import { YouTubeError, assertPlayable, toYouTubeError } from '../lib/youtube-errors.js';
+import { withCors } from '../lib/cors.js';
+import { CLEAN_HINT, cleanSegments, resolveCleanOptions } from '../lib/clean.js';
+import { cleanCaptionText, parseCaptions } from '../lib/captions.js';
 
-// CORS headers
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-  'Access-Control-Allow-Methods': 'POST, OPTIONS'
-};
-
-async function getTranscriptFromYouTube(videoId, lang = 'en') {
+async function getTranscriptFromYouTube(videoId, lang = 'en', translateTo = null) {
   console.log(`📥 Fetching transcript for: ${videoId}`);
+
+  // Only the direct method reads caption track URLs, so it is the only one that can
+  // request YouTube's machine-translated (tlang) variant
+  if (translateTo) {
+    console.log(`🔄 Trying direct YouTube API method with translation to ${translateTo}...`);
+    return fetchCaptionsDirectly(videoId, lang, translateTo);
+  }
   
   // Method 1: Try youtube-transcript with different configurations
   const methods = [
@@ -48,6 +56,8 @@ async function getTranscriptFromYouTube(videoId, lang = 'en') {
     return transcript;
   } catch (error) {
     console.log(`⚠️ Direct API method failed: ${error.message}`);
+    // The player response said the video is unplayable or has no captions; no other method will do better
+    if (error instanceof YouTubeError) throw error;
   }
   
   // Method 3: Try to get available languages first
@@ -74,7 +84,7 @@ async function getTranscriptFromYouTube(videoId, lang = 'en') {
   throw new Error(`All transcript methods failed for video ${videoId}`);
 }
 
-async function fetchCaptionsDirectly(videoId, lang = 'en') {
+async function fetchCaptionsDirectly(videoId, lang = 'en', translateTo = null) {
   const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
   
   // Fetch the video page
@@ -91,7 +101,7 @@ async function fetchCaptionsDirectly(videoId, lang = 'en') {
   });
   
   if (!response.ok) {
-    throw new Error(`Failed to fetch video page: ${response.status}`);
+    throw httpError('Video page', response.status);
   }
   
   const html = await response.text();
@@ -103,27 +113,39 @@ async function fetchCaptionsDirectly(videoId, lang = 'en') {
   }
   
   const playerResponse = JSON.parse(ytInitialPlayerResponseMatch[1]);
+  assertPlayable(playerResponse);
   const captions = playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
   
   if (!captions || captions.length === 0) {
-    throw new Error('No captions found in player response');
+    throw new YouTubeError('NO_CAPTIONS', 'No captions found in player response');
   }
   
   console.log(`📋 Found ${captions.length} caption tracks`);
   
   // Find the best caption track
   let bestCaption = captions[0];
-  for (const caption of captions) {
-    if (caption.languageCode === lang) {
-      bestCaption = caption;
-      break;
+  let translated = false;
+  if (translateTo) {
+    ({ track: bestCaption, translated } = selectTranslationTrack(captions, translateTo, {
+      lang,
+      translationLanguages: getTranslationLanguages(playerResponse)
+    }));
+  } else {
+    for (const caption of captions) {
+      if (caption.languageCode === lang) {
+        bestCaption = caption;
+        break;
+      }
     }
   }
   
-  console.log(`🎯 Using caption track: ${bestCaption.languageCode} (${bestCaption.name?.simpleText || 'Unknown'})`);
+  console.log(`🎯 Using caption track: ${bestCaption.languageCode} (${bestCaption.name?.simpleText || 'Unknown'})${translated ? ` translated to ${translateTo}` : ''}`);
   
   // Fetch the caption data
-  const captionResponse = await fetch(bestCaption.baseUrl, {
+  const captionUrl = translated
+    ? withTranslationLanguage(bestCaption.baseUrl, translateTo)
+    : bestCaption.baseUrl;
+  const captionResponse = await fetch(captionUrl, {
     headers: {
       'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
     }
@@ -135,85 +157,40 @@ async function fetchCaptionsDirectly(videoId, lang = 'en') {
   
   const captionText = await captionResponse.text();
   
-  // Parse the caption XML
-  const transcript = parseCaptionXml(captionText);
-  
-  if (!transcript || transcript.length === 0) {
-    throw new Error('Failed to parse caption data');
-  }
-  
-  return transcript;
-}
-
-function parseCaptionXml(xmlText) {
-  const transcript = [];
-  
-  // Simple XML parsing for caption data
-  const textMatches = xmlText.match(/<text[^>]*dur="([^"]*)"[^>]*start="([^"]*)"[^>]*>([^<]*)<\/text>/g);
+  const segments = parseCaptions(captionText);
   
-  if (!textMatches) {
-    throw new Error('No caption text found in XML');
+  if (segments.length === 0) {
+    throw new Error('No caption text found in caption data');
   }
   
-  textMatches.forEach((match, index) => {
-    const durMatch = match.match(/dur="([^"]*)"/);
-    const startMatch = match.match(/start="([^"]*)"/);
-    const textMatch = match.match(/>([^<]*)</);
-    
-    if (durMatch && startMatch && textMatch) {
-      const start = parseFloat(startMatch[1]) * 1000; // Convert to milliseconds
-      const duration = parseFloat(durMatch[1]) * 1000;
-      const text = textMatch[1].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&#39;/g, "'").replace(/&quot;/g, '"');
-      
-      transcript.push({
-        text: text,
-        offset: start,
-        duration: duration
-      });
-    }
-  });
-  
-  return transcript;
+  // Shaped and tagged with their language like youtube-transcript items
+  return segments.map(segment => ({
+    text: segment.text,
+    offset: segment.start,
+    duration: segment.duration,
+    lang: translated ? translateTo : bestCaption.languageCode,
+    sourceLang: bestCaption.languageCode
+  }));
 }
 
-function formatTranscriptAsText(transcript) {
-  return transcript.map(item => item.text).join(' ');
-}
-
-function formatTranscriptAsSrt(transcript) {
-  return transcript.map((item, index) => {
-    const startTime = formatTime(item.offset);
-    const endTime = formatTime(item.offset + item.duration);
-    return `${index + 1}\n${startTime} --> ${endTime}\n${item.text}\n`;
-  }).join('\n');
-}
-
-function formatTime(milliseconds) {
-  const totalSeconds = Math.floor(milliseconds / 1000);
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = totalSeconds % 60;
-  const ms = milliseconds % 1000;
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')},${ms.toString().padStart(3, '0')}`;
+// Convert youtube-transcript items ({ offset, duration } in seconds) to shared segments;
+// the library returns the text as YouTube served it, so it is decoded here
+function toSegments(transcript) {
+  return transcript
+    .map(item => ({
+      start: Number(item.offset) || 0,
+      duration: Number(item.duration) || 0,
+      text: cleanCaptionText(item.text)
+    }))
+    .filter(segment => segment.text);
 }
 
 // Main API handler
-export default async function handler(req, res) {
-  // Handle CORS preflight
-  if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.status(200).end();
-    return;
-  }
-
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
+async function handler(req, res) {
+  // POST with a JSON body, or GET with query parameters for shareable links
+  if (req.method !== 'POST' && req.method !== 'GET') {
     res.status(405).json({ 
-      error: 'Method not allowed. Use POST.' 
+      error: 'Method not allowed. Use GET or POST.' 
     });
     return;
   }
@@ -221,77 +198,96 @@ export default async function handler(req, res) {
   try {
     console.log('🚀 YouTube Transcript Service (Simple) called');
     
-    // Parse request body
-    const { videoId, format = 'txt', lang = 'en' } = req.body;
+    const params = requestParams(req);
+    const { format = 'txt', lang = 'en', translateTo } = params;
     
     // Validate required parameters
-    if (!videoId) {
-      res.setHeader('Access-Control-Allow-Origin', '*');
+    const { videoId, error: videoIdError } = videoIdFromParams(params);
+    if (videoIdError) {
       res.status(400).json({ 
-        error: 'Missing required parameter: videoId' 
+        error: videoIdError,
+        hint: VIDEO_ID_HINT
+      });
+      return;
+    }
+
+    const outputFormat = normalizeFormat(format);
+    if (!outputFormat) {
+      res.status(400).json({
+        error: `Unsupported format: ${format}`,
+        hint: `Supported formats: ${supportedFormats().join(', ')}`
       });
       return;
     }
     
+    let cleanOptions;
+    try {
+      cleanOptions = resolveCleanOptions(params.clean);
+    } catch (error) {
+      res.status(400).json({ error: error.message, hint: CLEAN_HINT });
+      return;
+    }
+
     console.log(`🎬 Processing video: ${videoId}`);
     console.log(`📝 Format: ${format}`);
     console.log(`🌍 Language: ${lang}`);
     
     // Get transcript from YouTube
-    const transcript = await getTranscriptFromYouTube(videoId, lang);
+    const transcript = await getTranscriptFromYouTube(videoId, lang, translateTo);
     
     if (!transcript || transcript.length === 0) {
       throw new Error('No transcript data received');
     }
+
+    const language = transcript[0].lang || lang;
+    const sourceLanguage = transcript[0].sourceLang || language;
     
     console.log(`✅ Transcript fetched successfully`);
     console.log(`📊 Transcript segments: ${transcript.length}`);
     console.log(`📝 Total characters: ${transcript.reduce((sum, item) => sum + item.text.length, 0)}`);
     
     // Format the output
-    let output;
-    let contentType;
-    let filename;
-    
-    if (format.toLowerCase() === 'srt') {
-      output = formatTranscriptAsSrt(transcript);
-      contentType = 'text/plain; charset=utf-8';
-      filename = `${videoId}.srt`;
-    } else {
-      output = formatTranscriptAsText(transcript);
-      contentType = 'text/plain; charset=utf-8';
-      filename = `${videoId}.txt`;
-    }
+    const { segments, report: cleaning } = cleanSegments(toSegments(transcript), cleanOptions);
+    const output = formatTranscript(segments, outputFormat, { language });
     
     console.log('✅ Transcript formatting completed');
+
+    if (wantsDownload(params)) {
+      sendTranscriptFile(req, res, { videoId, format: outputFormat, text: output, source: 'youtube-direct' });
+      return;
+    }
     
     // Return success response
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     res.setHeader('X-Transcript-Source', 'youtube-direct');
     res.status(200).json({
       success: true,
       data: {
         transcript: output,
-        format: format.toLowerCase(),
-        language: lang,
-        segments: transcript.length,
+        format: outputFormat,
+        language,
+        translated: language !== sourceLanguage,
+        sourceLanguage,
+        segments: segments.length,
         source: 'youtube-direct',
-        videoId: videoId
+        videoId: videoId,
+        ...(cleaning ? { cleaning } : {})
       },
       message: 'Transcript extracted successfully from YouTube'
     });
     
   } catch (error) {
-    console.error('❌ Service error:', error.message);
+    const failure = toYouTubeError(error);
+    console.error(`❌ Service error (${failure.code}):`, failure.message);
     
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.status(500).json({
+    res.status(failure.status).json({
       success: false,
-      error: error.message,
+      error: failure.message,
+      code: failure.code,
+      retryable: failure.retryable,
       message: 'Transcript extraction failed',
-      hint: 'This video may not have captions available or they may be disabled. Try using the audio transcription endpoint instead.'
+      hint: failure.hint || 'This video may not have captions available or they may be disabled. Try using the audio transcription endpoint instead.'
     });
   }
 }
+
+export default withCors(handler, { methods: ['GET', 'POST'], exposeHeaders: ['Content-Disposition', 'X-Transcript-Source'] });
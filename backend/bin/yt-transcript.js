@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+// bin/yt-transcript.js
+// Command-line transcripts using the same extraction chain and formatters as /api/transcript.
+//
+//   yt-transcript <url|id|playlist|channel>... [options]
+//   yt-transcript --input urls.txt --format srt --out ./subs
+//   cat urls.txt | yt-transcript --format vtt --out ./subs
+
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { SUBTITLE_FORMATS, normalizeFormat, supportedFormats } from "../lib/formatters.js";
+import { LAYOUTS, normalizeLayout } from "../lib/paragraphs.js";
+import { CLEAN_STEPS, resolveCleanOptions } from "../lib/clean.js";
+import { parseListSource, parseVideoId } from "../lib/youtube-url.js";
+import { resolveVideoList } from "../lib/playlist.js";
+import { mapWithConcurrency } from "../lib/concurrency.js";
+import { resolveStrategy } from "../lib/strategy.js";
+import { createTrace } from "../lib/trace.js";
+import { toYouTubeError } from "../lib/youtube-errors.js";
+import { KNOWN_METHODS, getTranscript } from "../api/transcript.js";
+
+const USAGE = `Usage: yt-transcript [options] <url|videoId|playlist|channel>...
+
+Reads URLs/IDs from the arguments, from --input <file>, or from stdin (one per line,
+# comments allowed). Playlist and channel URLs expand to their videos.
+Writes one file per video: <out>/<videoId>.<format extension>.
+
+Options:
+  -l, --lang <code>          caption language (default: English captions when there are
+                             several; Whisper detects the spoken language)
+  -t, --translate <code>     YouTube machine translation target language
+  -f, --format <format>      ${supportedFormats().join(" | ")} (default: txt);
+                             md uses the video's chapters as headings
+      --layout <layout>      ${LAYOUTS.join(" | ")}: paragraphs de-duplicates ASR cues and
+                             groups them into timestamped paragraphs (default: segments)
+      --clean                clean-read: drop [Music]-style tags, >> markers and filler words,
+                             collapse repeated words, straighten quotes
+      --clean-steps <list>   clean with only these steps (${CLEAN_STEPS.join(", ")})
+  -o, --out <dir>            output directory (default: current directory)
+      --stdout               print transcripts to stdout instead of writing files
+  -m, --method <name>        extraction method(s) to try, in order; repeatable or comma-separated
+                             (${KNOWN_METHODS.join(", ")})
+      --mode <mode>          sequential | race (default: sequential)
+      --timeout <ms>         per-method timeout
+  -w, --whisper              fall back to Whisper audio transcription (needs OPENAI_API_KEY or ASR_BASE_URL)
+      --asr-provider <name>  ASR provider for --whisper
+      --asr-model <name>     ASR model for --whisper
+  -k, --api-key <key>        YouTube Data API key (default: YOUTUBE_API_KEY env)
+  -i, --input <file>         read URLs/IDs from a file ("-" for stdin)
+      --max-videos <n>       videos per playlist/channel (default: 50)
+  -c, --concurrency <n>      videos processed at once (default: 2)
+  -v, --verbose              log every extraction attempt to stderr
+  -h, --help                 show this help
+
+Exit status: 0 when every video succeeded, 1 when any failed, 2 on usage errors.`;
+
+const OPTIONS = {
+  lang: { type: "string", short: "l" },
+  translate: { type: "string", short: "t" },
+  format: { type: "string", short: "f", default: "txt" },
+  layout: { type: "string", default: "segments" },
+  clean: { type: "boolean", default: false },
+  "clean-steps": { type: "string" },
+  out: { type: "string", short: "o", default: "." },
+  stdout: { type: "boolean", default: false },
+  method: { type: "string", short: "m", multiple: true },
+  mode: { type: "string" },
+  timeout: { type: "string" },
+  whisper: { type: "boolean", short: "w", default: false },
+  "asr-provider": { type: "string" },
+  "asr-model": { type: "string" },
+  "api-key": { type: "string", short: "k" },
+  input: { type: "string", short: "i" },
+  "max-videos": { type: "string", default: "50" },
+  concurrency: { type: "string", short: "c", default: "2" },
+  verbose: { type: "boolean", short: "v", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+class UsageError extends Error {}
+
+// stderr for everything but transcripts, so --stdout output stays clean
+function log(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function parseLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, "").trim())
+    .filter(Boolean);
+}
+
+async function collectInputs(positionals, input) {
+  const inputs = [...positionals];
+  if (input === "-") {
+    inputs.push(...parseLines(await readStream(process.stdin)));
+  } else if (input) {
+    inputs.push(...parseLines(await fs.readFile(input, "utf8")));
+  } else if (inputs.length === 0 && !process.stdin.isTTY) {
+    inputs.push(...parseLines(await readStream(process.stdin)));
+  }
+  return inputs;
+}
+
+// Expand inputs into unique video IDs, keeping their order
+async function resolveVideoIds(inputs, { maxVideos, apiKey }) {
+  const videoIds = [];
+  for (const input of inputs) {
+    const videoId = parseVideoId(input);
+    // A watch URL with &list= is treated as its playlist
+    const source = parseListSource(input);
+    if (source && (!videoId || source.type === "playlist")) {
+      const list = await resolveVideoList(source, { maxVideos, apiKey });
+      log(`📋 ${list.type} ${list.title || list.id}: ${list.videoIds.length} video(s)`);
+      videoIds.push(...list.videoIds);
+    } else if (videoId) {
+      videoIds.push(videoId);
+    } else {
+      throw new UsageError(`Not a YouTube video, playlist or channel: ${input}`);
+    }
+  }
+  return [...new Set(videoIds)];
+}
+
+function positiveInt(value, name) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) throw new UsageError(`--${name} must be a positive integer`);
+  return n;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // The extraction chain logs to console.log; keep that off stdout
+  console.log = values.verbose ? (...args) => console.error(...args) : () => {};
+
+  const outputFormat = normalizeFormat(values.format);
+  if (!outputFormat) {
+    throw new UsageError(`Unsupported format: ${values.format} (supported: ${supportedFormats().join(", ")})`);
+  }
+
+  const layout = normalizeLayout(values.layout);
+  if (!layout) {
+    throw new UsageError(`Unsupported layout: ${values.layout} (supported: ${LAYOUTS.join(", ")})`);
+  }
+
+  let clean;
+  try {
+    clean = resolveCleanOptions(values["clean-steps"] ?? values.clean);
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+
+  let strategy;
+  try {
+    strategy = resolveStrategy({
+      methods: values.method?.join(","),
+      mode: values.mode,
+      timeoutMs: values.timeout,
+    }, KNOWN_METHODS);
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+
+  const apiKey = values["api-key"] || process.env.YOUTUBE_API_KEY;
+  const inputs = await collectInputs(positionals, values.input);
+  if (inputs.length === 0) {
+    throw new UsageError("No video given");
+  }
+
+  const videoIds = await resolveVideoIds(inputs, {
+    maxVideos: positiveInt(values["max-videos"], "max-videos"),
+    apiKey,
+  });
+  const concurrency = positiveInt(values.concurrency, "concurrency");
+  const { extension } = SUBTITLE_FORMATS[outputFormat];
+
+  if (!values.stdout) await fs.mkdir(values.out, { recursive: true });
+
+  const results = await mapWithConcurrency(videoIds, concurrency, async videoId => {
+    const trace = createTrace(videoId);
+    try {
+      const { data } = await getTranscript(trace, videoId, {
+        lang: values.lang,
+        translateTo: values.translate,
+        apiKey,
+        strategy,
+        whisperFallback: values.whisper,
+        asrProvider: values["asr-provider"],
+        asrModel: values["asr-model"],
+        outputFormat,
+        layout,
+        clean,
+      });
+
+      if (values.stdout) {
+        process.stdout.write(data.transcript.endsWith("\n") ? data.transcript : `${data.transcript}\n`);
+      } else {
+        const file = path.join(values.out, `${videoId}.${extension}`);
+        await fs.writeFile(file, data.transcript);
+        log(`✅ ${videoId} → ${file} (${data.source}, ${data.language}, quality ${data.quality.score})`);
+      }
+      return true;
+    } catch (e) {
+      const failure = toYouTubeError(e);
+      log(`❌ ${videoId}: [${failure.code}] ${failure.message}`);
+      return false;
+    }
+  });
+
+  const failed = results.filter(ok => !ok).length;
+  if (videoIds.length > 1) {
+    log(`${videoIds.length - failed}/${videoIds.length} transcript(s) written`);
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(e => {
+    if (e instanceof UsageError) {
+      log(`yt-transcript: ${e.message}\nRun yt-transcript --help for usage.`);
+      process.exitCode = 2;
+      return;
+    }
+    const failure = toYouTubeError(e);
+    log(`yt-transcript: [${failure.code}] ${failure.message}`);
+    process.exitCode = 1;
+  });
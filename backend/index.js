@@ -2,17 +2,23 @@
 import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import OpenAI from "openai";
-import fs from "fs";
-import os from "os";
-import path from "path";
-import { pipeline } from "stream/promises";
-import ytdl from "@distube/ytdl-core";
 import compression from "compression";
 import zlib from "zlib"; // <-- add
+import { SUBTITLE_FORMATS, formatTranscript, normalizeFormat, supportedFormats } from "./lib/formatters.js";
+import { getAsrProvider, transcribeYouTubeAudio } from "./lib/whisper.js";
+import { listAsrProviders } from "./lib/asr.js";
+import { getMethodHealth } from "./lib/method-health.js";
+import { cancelJob, createJob, getJob, serializeJob } from "./lib/jobs.js";
+import { VIDEO_ID_HINT, videoIdFromParams } from "./lib/youtube-url.js";
+import { toYouTubeError } from "./lib/youtube-errors.js";
+import { cached, transcriptCacheKey } from "./lib/cache.js";
+import { isTruthyParam } from "./lib/download.js";
+import { assessQuality } from "./lib/quality.js";
+import { CLEAN_HINT, cleanSegments, resolveCleanOptions } from "./lib/clean.js";
+import { mountApiRoutes } from "./routes.js";
 
 const app = express();
-app.use(cors({ origin: "*", exposedHeaders: ["X-Transcript-Source", "Content-Disposition"] }));
+app.use(cors({ origin: "*", exposedHeaders: ["X-Transcript-Source", "X-Cache", "Content-Disposition", "Location"] }));
 app.use((req, res, next) => {
   // keep connections alive for long jobs
   req.setTimeout(0);
@@ -23,155 +29,255 @@ app.use((req, res, next) => {
 });
 app.use(compression({ threshold: 1024 })); // fine; we'll still force gzip below
 
-function extractVideoId(u) {
-  const m =
-    u?.match(/[?&]v=([^&]+)/) ||
-    u?.match(/youtu\.be\/([^?]+)/) ||
-    u?.match(/youtube\.com\/shorts\/([^?]+)/);
-  return m ? m[1] : null;
-}
-function normalizeYouTubeUrl(input) {
-  if (!input) return input;
-  const v = input.match(/[?&]v=([^&]+)/);
-  if (v) return `https://www.youtube.com/watch?v=${v[1]}`;
-  const be = input.match(/youtu\.be\/([^?]+)/);
-  if (be) return `https://www.youtube.com/watch?v=${be[1]}`;
-  const sh = input.match(/youtube\.com\/shorts\/([^?]+)/);
-  if (sh) return `https://www.youtube.com/watch?v=${sh[1]}`;
-  return input;
-}
-function guessExt(fmt) {
-  const c = (fmt?.container || "").toLowerCase();
-  if (c) return c;
-  const mt = (fmt?.mimeType || "").toLowerCase();
-  if (mt.includes("webm") || mt.includes("opus")) return "webm";
-  if (mt.includes("mp4") || mt.includes("m4a") || mt.includes("aac")) return "m4a";
-  if (mt.includes("mpeg")) return "mp3";
-  if (mt.includes("ogg")) return "ogg";
-  return "webm";
-}
-async function getInfoRobust(url, headers) {
-  const clients = (process.env.YTDL_CLIENTS || "ANDROID,IOS,WEB")
-    .split(",")
-    .map(s => s.trim().toUpperCase());
-  let lastErr;
-  for (const client of clients) {
-    try {
-      ytdl.setDefaultClient?.(client);
-      return await ytdl.getInfo(url, { requestOptions: { headers } });
-    } catch (e) {
-      lastErr = e;
-    }
-  }
-  throw lastErr || new Error("getInfo failed");
-}
-
 // helper to ALWAYS gzip the outgoing payload so Cloudflare reads the compressed size
-function sendGzippedText(res, filename, text) {
+function sendGzippedText(res, filename, text, contentType = "text/plain; charset=utf-8", source = "openai") {
   const buf = Buffer.isBuffer(text) ? text : Buffer.from(String(text), "utf8");
   const gz = zlib.gzipSync(buf, { level: zlib.constants.Z_BEST_COMPRESSION });
-  res.setHeader("X-Transcript-Source", "openai");
+  res.setHeader("X-Transcript-Source", source);
   res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-  res.setHeader("Content-Type", "text/plain; charset=utf-8");
+  res.setHeader("Content-Type", contentType);
   res.setHeader("Content-Encoding", "gzip");
   res.setHeader("Content-Length", String(gz.length));
   res.end(gz);
 }
 
-app.get("/health", (_req, res) => res.json({ ok: true }));
+app.get("/health", (_req, res) => res.json({ ok: true, extraction: getMethodHealth() }));
 
-app.get("/transcript", async (req, res) => {
-  const { url, format = "txt", lang = "", wrap } = req.query || {};
-  if (!url) return res.status(400).json({ error: "Provide ?url=" });
-
-  const normalizedUrl = normalizeYouTubeUrl(url);
-  const videoId = extractVideoId(normalizedUrl);
-  if (!videoId) return res.status(400).json({ error: "Invalid YouTube URL" });
+// ASR providers/models this deployment is configured for
+app.get("/asr/providers", (_req, res) => res.json({ providers: listAsrProviders() }));
 
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) return res.status(400).json({ error: "OPENAI_API_KEY is missing in env" });
+// Validate url (or videoId)/format shared by /transcript and /jobs; returns { error } or the parsed request
+function parseTranscriptRequest({ url, videoId: id, format = "txt", lang = "", asrProvider, asrModel, fresh, clean } = {}) {
+  const { videoId, error } = videoIdFromParams({ url, videoId: id });
+  if (error) return { error: { error, hint: VIDEO_ID_HINT } };
 
-  if (!ytdl.validateURL(normalizedUrl)) {
-    return res.status(400).json({ error: "Invalid or unsupported YouTube URL" });
+  const outputFormat = normalizeFormat(format);
+  if (!outputFormat) {
+    return {
+      error: {
+        error: `Unsupported format: ${format}`,
+        hint: `Supported formats: ${supportedFormats().join(", ")}`,
+      },
+    };
   }
 
-  // Browser-like headers (+ cookies/token if provided)
-  const cookieHeader = process.env.YTDL_COOKIE || "";
-  const idToken = process.env.YTDL_ID_TOKEN || "";
-  const userAgent =
-    process.env.YTDL_UA ||
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36";
-
-  const headers = {
-    "user-agent": userAgent,
-    "accept-language": "en-US,en;q=0.9",
-    referer: `https://www.youtube.com/watch?v=${videoId}`,
-    origin: "https://www.youtube.com",
-    ...(cookieHeader ? { cookie: cookieHeader } : {}),
-    ...(idToken ? { "x-youtube-identity-token": idToken } : {}),
-  };
-
-  let info;
+  let cleanOptions;
   try {
-    info = await getInfoRobust(normalizedUrl, headers);
+    cleanOptions = resolveCleanOptions(clean);
   } catch (e) {
-    const msg = e?.message || String(e);
-    return res.status(502).json({
-      error: `ytdl getInfo failed: ${msg}`,
-      hint: cookieHeader
-        ? "Cookies may be stale or missing CONSENT/VISITOR_INFO1_LIVE/PREF/YSC. Refresh and redeploy."
-        : "Add YTDL_COOKIE env (single-line) and redeploy.",
-    });
+    return { error: { error: e.message, hint: CLEAN_HINT } };
   }
 
-  const fmt = ytdl.chooseFormat(info.formats, { quality: "highestaudio", filter: "audioonly" });
-  if (!fmt || (!fmt.url && !fmt.signatureCipher)) {
-    return res.status(502).json({ error: "No suitable audio format found from YouTube." });
-  }
+  return { videoId, outputFormat, lang, asrProvider, asrModel, clean: cleanOptions, fresh: isTruthyParam(fresh) };
+}
 
-  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "yta-"));
-  const filePath = path.join(tmpDir, `audio.${guessExt(fmt)}`);
+// Whisper result for a parsed request; identical concurrent requests share one run and results
+// are cached (see lib/cache.js). The raw result is cached rather than one rendered format:
+// every format renders from it, and a second Whisper run costs money.
+function transcribeCached({ videoId, lang, asrProvider, asrModel, fresh }, { signal, onProgress, awaitRun } = {}) {
+  const key = transcriptCacheKey({
+    videoId,
+    lang,
+    kind: `asr-${asrProvider || "default"}-${asrModel || "default"}`,
+    format: "segments",
+  });
+  return cached(
+    key,
+    run => transcribeYouTubeAudio(videoId, { lang, asrProvider, asrModel, signal: run.signal, onProgress: run.onProgress }),
+    { fresh, signal, onProgress, awaitRun }
+  );
+}
+
+// Render a Whisper result in the requested output format, after the clean-read pass when asked
+// for (see lib/clean.js); returns { text, segments, cleaning }
+function renderTranscript(tr, outputFormat, clean) {
+  const { segments, report: cleaning } = cleanSegments(tr.segments, clean);
+  const text = outputFormat === "txt" && !cleaning
+    ? tr.text
+    : formatTranscript(segments, outputFormat, { language: tr.language, title: tr.videoTitle || null });
+  return { text, segments, ...(cleaning ? { cleaning } : {}) };
+}
+
+// Quality assessment of a Whisper result (see lib/quality.js); ASR output is never "manual"
+function whisperQuality(tr, lang) {
+  return assessQuality({
+    segments: tr.segments,
+    videoDuration: tr.duration,
+    trackKind: "asr",
+    requestedLanguage: lang,
+    detectedLanguage: tr.detectedLanguage,
+  });
+}
+
+// JSON error body with the stable error code (see lib/youtube-errors.js)
+function errorBody(failure) {
+  return {
+    error: failure.message || "Transcription failed",
+    code: failure.code,
+    retryable: failure.retryable,
+    ...(failure.hint ? { hint: failure.hint } : {}),
+  };
+}
+
+// SSE mode: ?stream=sse or an Accept: text/event-stream request
+function wantsEventStream(req) {
+  return req.query?.stream === "sse" || String(req.headers.accept || "").includes("text/event-stream");
+}
+
+// Stream phase events (info/downloading/uploading/transcribing/done) and finally the transcript.
+// Closing the connection aborts the download/transcription.
+async function streamTranscript(res, parsed) {
+  const { videoId, outputFormat, lang, clean } = parsed;
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.flushHeaders?.();
+
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    res.flush?.(); // compression middleware buffers otherwise
+  };
+
+  const controller = new AbortController();
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) {
+      res.write(": keep-alive\n\n");
+      res.flush?.();
+    }
+  }, 15000);
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    if (!res.writableFinished) controller.abort();
+  });
+
+  send("phase", { phase: "started", videoId, format: outputFormat });
 
   try {
-    const readStream = ytdl.downloadFromInfo(info, {
-      format: fmt,
-      requestOptions: { headers },
-      highWaterMark: 1 << 26, // 64MB buffer
+    const { value: tr, cache } = await transcribeCached(parsed, {
+      signal: controller.signal,
+      onProgress: progress => send("phase", progress),
+    });
+    send("phase", { phase: "done", percent: 100 });
+    send("transcript", {
+      source: tr.asrProvider,
+      model: tr.model,
+      videoId,
+      videoTitle: tr.videoTitle,
+      format: outputFormat,
+      language: tr.language,
+      ...renderTranscript(tr, outputFormat, clean),
+      quality: whisperQuality(tr, lang),
+      cache,
     });
-    await pipeline(readStream, fs.createWriteStream(filePath));
   } catch (e) {
-    try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch {}
-    return res.status(502).json({ error: `Audio download failed: ${e?.message || e}` });
+    if (controller.signal.aborted) return;
+    const failure = toYouTubeError(e);
+    send("error", { ...errorBody(failure), status: failure.status });
+  } finally {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
   }
+}
+
+app.get("/transcript", async (req, res) => {
+  const { wrap } = req.query || {};
+  const parsed = parseTranscriptRequest(req.query);
+  if (parsed.error) return res.status(400).json(parsed.error);
+  const { videoId, outputFormat, lang, clean } = parsed;
 
-  const openai = new OpenAI({ apiKey });
-  const responseFormat = format === "srt" ? "srt" : "text";
+  if (wantsEventStream(req)) return streamTranscript(res, parsed);
 
   let tr;
+  let cache;
   try {
-    tr = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(filePath),
-      model: "whisper-1",
-      response_format: responseFormat,
-      language: lang || undefined,
-    });
+    ({ value: tr, cache } = await transcribeCached(parsed));
   } catch (e) {
-    try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch {}
-    return res.status(500).json({ error: e?.message || "Transcription failed" });
+    const failure = toYouTubeError(e);
+    return res.status(failure.status).json(errorBody(failure));
   }
 
-  try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch {}
+  const { text, cleaning } = renderTranscript(tr, outputFormat, clean);
+  const { extension, contentType } = SUBTITLE_FORMATS[outputFormat];
+  res.setHeader("X-Cache", cache.hit ? "HIT" : "MISS");
 
   // If wrap=json, still send gzipped JSON (browser will auto-decompress)
   if (wrap === "json") {
-    const payload = JSON.stringify({ source: "openai", videoId, format: responseFormat, text: tr });
-    return sendGzippedText(res, `${videoId}.${responseFormat}`, payload);
+    const payload = JSON.stringify({
+      source: tr.asrProvider,
+      model: tr.model,
+      videoId,
+      format: outputFormat,
+      text,
+      quality: whisperQuality(tr, lang),
+      ...(cleaning ? { cleaning } : {}),
+      cache,
+    });
+    return sendGzippedText(res, `${videoId}.${extension}`, payload, "application/json; charset=utf-8", tr.asrProvider);
   }
 
   // ALWAYS gzip to stay below Cloudflare’s 25 MiB "bytes read" limit
-  const filename = `${videoId}.${responseFormat === "srt" ? "srt" : "txt"}`;
-  return sendGzippedText(res, filename, tr);
+  return sendGzippedText(res, `${videoId}.${extension}`, text, contentType, tr.asrProvider);
+});
+
+// Async jobs: enqueue a transcription and poll for the result instead of holding the connection open
+app.post("/jobs", express.json(), (req, res) => {
+  const parsed = parseTranscriptRequest({ ...req.query, ...(req.body || {}) });
+  if (parsed.error) return res.status(400).json(parsed.error);
+  const { videoId, outputFormat, lang, asrProvider, asrModel, clean } = parsed;
+
+  // Reject a bad provider/model now rather than in a failed job
+  try {
+    getAsrProvider({ asrProvider, asrModel });
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+
+  let job;
+  try {
+    job = createJob(async ({ signal, onProgress }) => {
+      // A cancelled job keeps its concurrency slot until the Whisper run has actually stopped
+      const { value: tr, cache } = await transcribeCached(parsed, { signal, onProgress, awaitRun: true })
+        .catch(e => { throw toYouTubeError(e); });
+      return {
+        source: tr.asrProvider,
+        model: tr.model,
+        videoId,
+        videoTitle: tr.videoTitle,
+        format: outputFormat,
+        language: tr.language,
+        ...renderTranscript(tr, outputFormat, clean),
+        chunks: tr.chunks,
+        quality: whisperQuality(tr, lang),
+        cache,
+      };
+    }, { videoId, format: outputFormat });
+  } catch (e) {
+    // The job store is full
+    return res.status(e.status || 500).json({ error: e.message, ...(e.hint ? { hint: e.hint } : {}) });
+  }
+
+  res.setHeader("Location", `/jobs/${job.id}`);
+  return res.status(202).json({ ...serializeJob(job), statusUrl: `/jobs/${job.id}` });
 });
 
+app.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found (it may have expired)" });
+  return res.json(serializeJob(job));
+});
+
+app.delete("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found (it may have expired)" });
+  if (!cancelJob(job.id)) {
+    return res.status(409).json({ error: `Job already ${job.status}`, ...serializeJob(job) });
+  }
+  return res.status(202).json(serializeJob(job));
+});
+
+// Caption endpoints from api/ (/api/transcript, /api/tracks, ...), same handlers Vercel runs
+mountApiRoutes(app);
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => console.log(`Backend listening on :${PORT}`));
@@ -0,0 +1,90 @@
+// lib/asr.js
+// ASR provider registry: OpenAI cloud or any OpenAI-compatible transcription server
+// (self-hosted faster-whisper, whisper.cpp server, ...), configured through env.
+//
+//   OPENAI_API_KEY        enables the "openai" provider
+//   OPENAI_ASR_MODELS     models callers may pick for "openai" (default: whisper-1)
+//   ASR_BASE_URL          enables the "openai-compatible" provider, e.g. http://localhost:8000/v1
+//   ASR_API_KEY           key for that server, if it wants one
+//   ASR_MODELS            models callers may pick for it (first one is the default;
+//                         falls back to ASR_MODEL, then whisper-1)
+//   ASR_PROVIDER          default provider when the request does not name one
+//
+// Base URLs only ever come from env so a request cannot point the server at arbitrary hosts.
+// Models must support response_format "verbose_json" so segments carry timestamps.
+
+import OpenAI from "openai";
+
+function listFromEnv(name, fallback) {
+  const list = (process.env[name] || "").split(",").map(s => s.trim()).filter(Boolean);
+  return list.length > 0 ? list : fallback;
+}
+
+function configuredProviders() {
+  const providers = {};
+
+  if (process.env.OPENAI_API_KEY) {
+    providers.openai = {
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: undefined,
+      models: listFromEnv("OPENAI_ASR_MODELS", ["whisper-1"]),
+    };
+  }
+
+  if (process.env.ASR_BASE_URL) {
+    providers["openai-compatible"] = {
+      // The SDK insists on a key; local servers usually ignore it
+      apiKey: process.env.ASR_API_KEY || "not-needed",
+      baseURL: process.env.ASR_BASE_URL,
+      models: listFromEnv("ASR_MODELS", [process.env.ASR_MODEL || "whisper-1"]),
+    };
+  }
+
+  return providers;
+}
+
+function defaultProviderName(providers) {
+  const preferred = process.env.ASR_PROVIDER;
+  if (preferred && providers[preferred]) return preferred;
+  return Object.keys(providers)[0] || null;
+}
+
+// Names and models of the providers this deployment can use
+export function listAsrProviders() {
+  const providers = configuredProviders();
+  const defaultName = defaultProviderName(providers);
+  return Object.entries(providers).map(([name, p]) => ({
+    name,
+    default: name === defaultName,
+    models: p.models,
+    defaultModel: p.models[0],
+  }));
+}
+
+// Resolve the provider/model for a request; throws an Error with `status` 400 when the
+// requested provider is not configured or the model is not allowed
+export function resolveAsrProvider({ provider, model } = {}) {
+  const providers = configuredProviders();
+  const name = provider || defaultProviderName(providers);
+
+  if (!name) {
+    throw Object.assign(new Error("No ASR provider configured. Set OPENAI_API_KEY or ASR_BASE_URL in env"), { status: 400 });
+  }
+
+  const config = providers[name];
+  if (!config) {
+    const available = Object.keys(providers).join(", ") || "none";
+    throw Object.assign(new Error(`ASR provider '${name}' is not configured (available: ${available})`), { status: 400 });
+  }
+
+  const selectedModel = model || config.models[0];
+  if (!config.models.includes(selectedModel)) {
+    throw Object.assign(new Error(`Model '${selectedModel}' is not enabled for '${name}' (allowed: ${config.models.join(", ")})`), { status: 400 });
+  }
+
+  return {
+    name,
+    model: selectedModel,
+    client: new OpenAI({ apiKey: config.apiKey, baseURL: config.baseURL }),
+  };
+}
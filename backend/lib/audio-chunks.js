@@ -0,0 +1,84 @@
+// lib/audio-chunks.js
+// Split a downloaded audio file into time-bounded chunks with ffmpeg (stream copy, no re-encode).
+// Only audio over the upload limit (long videos) needs this. The binary is, in order:
+//   FFMPEG_PATH          explicit path to an ffmpeg binary
+//   ffmpeg-static        optional dependency bundling a binary (vercel.json ships it with the functions)
+//   ffmpeg               from PATH
+
+import { execFile } from "child_process";
+import fs from "fs";
+import path from "path";
+
+// Hint for a missing binary; serverless hosts have no ffmpeg on PATH
+export const FFMPEG_HINT = "Long audio is split with ffmpeg before upload. Install the optional ffmpeg-static " +
+  "dependency (npm install ffmpeg-static; bundled into the Vercel functions by vercel.json), install ffmpeg " +
+  "on the host, or set FFMPEG_PATH.";
+
+let bundledFfmpeg;
+
+// Path of ffmpeg-static's binary, or null when the package (or its downloaded binary) is missing
+async function bundledFfmpegPath() {
+  if (bundledFfmpeg === undefined) {
+    try {
+      const { default: binary } = await import("ffmpeg-static");
+      bundledFfmpeg = binary && fs.existsSync(binary) ? binary : null;
+    } catch {
+      bundledFfmpeg = null;
+    }
+  }
+  return bundledFfmpeg;
+}
+
+async function ffmpegPath() {
+  return process.env.FFMPEG_PATH || (await bundledFfmpegPath()) || "ffmpeg";
+}
+
+async function runFfmpeg(args) {
+  const binary = await ffmpegPath();
+  return new Promise((resolve, reject) => {
+    execFile(binary, args, { maxBuffer: 16 * 1024 * 1024 }, (error, _stdout, stderr) => {
+      if (error) {
+        if (error.code === "ENOENT") {
+          reject(new Error(`ffmpeg not found at "${binary}"`));
+          return;
+        }
+        const tail = String(stderr || "").trim().split("\n").slice(-3).join(" ");
+        reject(new Error(`ffmpeg failed: ${tail || error.message}`));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+// Splits `filePath` into ~chunkSeconds pieces inside `outDir`.
+// Resolves to [{ path, start, end }] with start/end in seconds as written by the segment muxer,
+// so cut points that land on keyframes still give exact timestamp offsets.
+export async function splitAudio(filePath, outDir, chunkSeconds) {
+  const ext = path.extname(filePath) || ".webm";
+  const listPath = path.join(outDir, "chunks.csv");
+
+  await runFfmpeg([
+    "-hide_banner",
+    "-loglevel", "error",
+    "-i", filePath,
+    "-vn",
+    "-c", "copy",
+    "-f", "segment",
+    "-segment_time", String(chunkSeconds),
+    "-segment_list", listPath,
+    "-segment_list_type", "csv",
+    "-reset_timestamps", "1",
+    path.join(outDir, `chunk%03d${ext}`),
+  ]);
+
+  const lines = fs.readFileSync(listPath, "utf8").split("\n").map(l => l.trim()).filter(Boolean);
+  return lines.map(line => {
+    const [name, start, end] = line.split(",");
+    return {
+      path: path.join(outDir, name),
+      start: parseFloat(start) || 0,
+      end: parseFloat(end) || 0,
+    };
+  });
+}
@@ -0,0 +1,279 @@
+// lib/cache.js
+// Transcript cache with in-flight coalescing: identical concurrent requests share one
+// extraction/Whisper run, and finished results are kept for a TTL so popular videos are
+// not re-scraped on every call. Cache failures never fail a request; they count as a miss.
+//
+//   CACHE_BACKEND        memory (default) | fs | redis | none
+//   CACHE_TTL_MS         how long results are kept (default 21600000, 6 hours)
+//   CACHE_MAX_ENTRIES    LRU size of the memory backend (default 500)
+//   CACHE_DIR            directory of the fs backend (default <os tmpdir>/yt-transcript-cache)
+//   CACHE_REDIS_URL      Redis-compatible REST endpoint for the redis backend (e.g. Upstash);
+//   CACHE_REDIS_TOKEN    falls back to UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const DEFAULT_TTL_MS = envNumber('CACHE_TTL_MS', 6 * 60 * 60 * 1000);
+
+// ============================================
+// STORES
+// Each store keeps entries of { value, storedAt, expiresAt } (epoch ms)
+// ============================================
+function memoryStore(maxEntries) {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      // Re-insert so Map order doubles as recency order
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+function fsStore(dir) {
+  const fileFor = key => path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  return {
+    name: 'fs',
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        await fs.rm(fileFor(key), { force: true });
+        return null;
+      }
+      return entry;
+    },
+    async set(key, entry) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write then rename so readers never see a half-written file
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, file);
+    }
+  };
+}
+
+// Redis over its REST protocol (Upstash and compatible proxies): POST a JSON command array
+function redisStore(url, token) {
+  async function command(args) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify(args)
+    });
+    if (!response.ok) {
+      throw new Error(`Redis REST returned ${response.status}`);
+    }
+    const data = await response.json();
+    if (data.error) throw new Error(`Redis REST error: ${data.error}`);
+    return data.result;
+  }
+
+  return {
+    name: 'redis',
+    async get(key) {
+      const raw = await command(['GET', key]);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, entry) {
+      await command(['SET', key, JSON.stringify(entry), 'PX', String(entry.expiresAt - entry.storedAt)]);
+    }
+  };
+}
+
+function createStore() {
+  const backend = String(process.env.CACHE_BACKEND || 'memory').toLowerCase();
+  switch (backend) {
+    case 'none':
+    case 'off':
+      return null;
+    case 'fs':
+      return fsStore(process.env.CACHE_DIR || path.join(os.tmpdir(), 'yt-transcript-cache'));
+    case 'redis': {
+      const url = process.env.CACHE_REDIS_URL || process.env.UPSTASH_REDIS_REST_URL;
+      if (!url) {
+        console.warn('⚠️ CACHE_BACKEND=redis but no CACHE_REDIS_URL set; falling back to memory cache');
+        break;
+      }
+      return redisStore(url, process.env.CACHE_REDIS_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN);
+    }
+    case 'memory':
+      break;
+    default:
+      console.warn(`⚠️ Unknown CACHE_BACKEND '${backend}'; using memory cache`);
+  }
+  return memoryStore(envNumber('CACHE_MAX_ENTRIES', 500));
+}
+
+let store;
+function getStore() {
+  if (store === undefined) store = createStore();
+  return store;
+}
+
+async function safeGet(key) {
+  try {
+    return await getStore().get(key);
+  } catch (e) {
+    console.warn(`⚠️ Cache read failed (${getStore().name}): ${e.message}`);
+    return null;
+  }
+}
+
+async function safeSet(key, entry) {
+  try {
+    await getStore().set(key, entry);
+  } catch (e) {
+    console.warn(`⚠️ Cache write failed (${getStore().name}): ${e.message}`);
+  }
+}
+
+// ============================================
+// KEYS
+// ============================================
+
+// Cache key for one transcript: `kind` names every setting besides the language that can change
+// the result (e.g. a translation target, the extraction methods allowed, an ASR provider/model)
+// and `format` the stored representation.
+// Bump the version whenever the cached payload or the key layout changes (v2: quality assessment,
+// v3: shared caption parser in lib/captions.js, v4: chapters, v5: extraction settings in `kind`,
+// v6: chapters from the metadata description when the winning method has none).
+export function transcriptCacheKey({ videoId, lang, kind, format }) {
+  return ['transcript', 'v6', videoId, lang || 'auto', kind || 'default', format || 'raw'].join(':');
+}
+
+// Cache key for merged video metadata (lib/metadata.js); results with and without the
+// Data API are kept apart since the keyed ones are more complete
+export function metadataCacheKey({ videoId, lang, withApiKey }) {
+  return ['metadata', 'v1', videoId, lang || 'auto', withApiKey ? 'data-api' : 'public'].join(':');
+}
+
+// ============================================
+// IN-FLIGHT COALESCING
+// One run per key; every caller subscribes to it. A caller's own signal only detaches
+// that caller; the shared run is aborted once every subscriber has gone.
+// ============================================
+const inFlight = new Map();
+
+function startFlight(key, compute, ttlMs) {
+  const flight = { controller: new AbortController(), subscribers: new Set() };
+  const broadcast = progress => {
+    for (const subscriber of flight.subscribers) subscriber.onProgress?.(progress);
+  };
+
+  flight.promise = (async () => {
+    try {
+      const value = await compute({ signal: flight.controller.signal, onProgress: broadcast });
+      const storedAt = Date.now();
+      const entry = { value, storedAt, expiresAt: storedAt + ttlMs };
+      if (getStore() && ttlMs > 0) await safeSet(key, entry);
+      return entry;
+    } finally {
+      if (inFlight.get(key) === flight) inFlight.delete(key);
+    }
+  })();
+  // Everyone may have detached by the time it settles
+  flight.promise.catch(() => {});
+
+  inFlight.set(key, flight);
+  return flight;
+}
+
+function subscribe(key, flight, { signal, onProgress, awaitRun }) {
+  const subscriber = { onProgress };
+  flight.subscribers.add(subscriber);
+
+  return new Promise((resolve, reject) => {
+    let detached = false;
+    const leave = () => {
+      flight.subscribers.delete(subscriber);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      detached = true;
+      leave();
+      if (flight.subscribers.size === 0) {
+        if (inFlight.get(key) === flight) inFlight.delete(key);
+        flight.controller.abort(signal.reason);
+        // The run only stops at its next checkpoint; callers that account for it wait until it has
+        if (awaitRun) return flight.promise.finally(() => reject(signal.reason)).catch(() => {});
+      }
+      reject(signal.reason);
+    };
+
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    flight.promise.then(
+      entry => { if (!detached) { leave(); resolve(entry); } },
+      error => { if (!detached) { leave(); reject(error); } }
+    );
+  });
+}
+
+// Return the cached value for `key` or run `compute({ signal, onProgress })` once for all
+// concurrent callers. `fresh` skips the cache read (the new result is still stored).
+// `awaitRun`: when this caller's abort stops the shared run, reject only once the run has settled
+// (for callers that hold a concurrency slot for it, see lib/jobs.js).
+// Resolves to { value, cache: { hit, coalesced, backend, storedAt, expiresAt } }.
+export async function cached(key, compute, { fresh = false, ttlMs = DEFAULT_TTL_MS, signal, onProgress, awaitRun = false } = {}) {
+  const backend = getStore()?.name || 'none';
+
+  if (!fresh && getStore()) {
+    const entry = await safeGet(key);
+    if (entry) {
+      return {
+        value: entry.value,
+        cache: {
+          hit: true,
+          coalesced: false,
+          backend,
+          storedAt: new Date(entry.storedAt).toISOString(),
+          expiresAt: new Date(entry.expiresAt).toISOString()
+        }
+      };
+    }
+  }
+
+  const existing = inFlight.get(key);
+  const flight = existing || startFlight(key, compute, ttlMs);
+  const entry = await subscribe(key, flight, { signal, onProgress, awaitRun });
+
+  return {
+    value: entry.value,
+    cache: {
+      hit: false,
+      coalesced: Boolean(existing),
+      backend,
+      storedAt: new Date(entry.storedAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString()
+    }
+  };
+}
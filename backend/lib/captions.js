@@ -0,0 +1,135 @@
+// lib/captions.js
+// One parser for every caption payload YouTube serves from a track's baseUrl:
+//   - timedtext XML (the default):  <text start="1.2" dur="3.4">...</text>, times in seconds
+//   - srv3 (&fmt=srv3):              <p t="1200" d="3400"><s>word</s><s t="300"> word</s></p>, times in ms
+//   - json3 (&fmt=json3):            { events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }
+// All of them come out as shared { start, duration, text } segments in seconds, with entities
+// decoded and markup removed, so a track yields the same text whichever endpoint fetched it.
+
+// Named HTML entities YouTube captions use in practice: XML's five, Latin-1 and common typography
+const LATIN1_ENTITIES = (
+  'nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr ' +
+  'deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest ' +
+  'Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ' +
+  'ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig ' +
+  'agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml ' +
+  'eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml'
+).split(' ');
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  ...Object.fromEntries(LATIN1_ENTITIES.map((name, i) => [name, String.fromCharCode(160 + i)])),
+  OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š', Yuml: 'Ÿ', fnof: 'ƒ', circ: 'ˆ', tilde: '˜',
+  ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200c', zwj: '\u200d', lrm: '\u200e', rlm: '\u200f',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  dagger: '†', Dagger: '‡', bull: '•', hellip: '…', permil: '‰', prime: '′', Prime: '″',
+  lsaquo: '‹', rsaquo: '›', euro: '€', trade: '™', larr: '←', rarr: '→', hearts: '♥'
+};
+
+const ENTITY = /&(?:#(\d+)|#x([0-9a-f]+)|([a-z][a-z0-9]*));/gi;
+const HAS_ENTITY = /&(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/i;
+
+// Formatting tags that survive as text once the outer XML layer is decoded (ASR colour hints)
+const FORMATTING_TAGS = /<\/?(?:font|i|b|u|c|v|ruby|rt|span)(?:\s[^<>]*)?>/gi;
+
+function codePoint(value, radix) {
+  const n = Number.parseInt(value, radix);
+  return Number.isInteger(n) && n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : null;
+}
+
+// Decode one layer of named, decimal (&#39;) and hex (&#x27;) entities; unknown ones are kept
+export function decodeEntities(text) {
+  return String(text).replace(ENTITY, (entity, dec, hex, name) => {
+    if (dec) return codePoint(dec, 10) ?? entity;
+    if (hex) return codePoint(hex, 16) ?? entity;
+    return NAMED_ENTITIES[name] ?? NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+// Raw cue content (markup and all) -> display text. Timedtext XML escapes the caption text
+// twice (we&amp;#39;re), so a second layer is decoded when entities remain after the first.
+// `layers: 1` is for text whose XML layer was already decoded (e.g. by a library).
+export function cleanCaptionText(raw, { layers = 2 } = {}) {
+  let text = String(raw ?? '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '');
+  text = decodeEntities(text);
+  if (layers > 1 && HAS_ENTITY.test(text)) text = decodeEntities(text);
+  return text
+    .replace(FORMATTING_TAGS, '')
+    .replace(/[\s\u200b]+/g, ' ')
+    .trim();
+}
+
+// Attributes of an opening tag as an object (single or double quotes, any order)
+function readAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = match[2] ?? match[3];
+  }
+  return attributes;
+}
+
+const number = value => {
+  const n = Number.parseFloat(value);
+  return Number.isFinite(n) ? n : 0;
+};
+
+function segment(start, duration, raw) {
+  const text = cleanCaptionText(raw);
+  return text ? { start, duration: Math.max(0, duration), text } : null;
+}
+
+// <text start dur> cues, times in seconds
+function parseTimedText(xml) {
+  const segments = [];
+  for (const match of xml.matchAll(/<text\b([^>]*?)(?:\/>|>([\s\S]*?)<\/text>)/g)) {
+    const attributes = readAttributes(match[1]);
+    segments.push(segment(number(attributes.start), number(attributes.dur), match[2] ?? ''));
+  }
+  return segments.filter(Boolean);
+}
+
+// srv3: <p t d> cues in milliseconds; word spans (<s>) are concatenated, their spacing included
+function parseSrv3(xml) {
+  const body = xml.match(/<body\b[^>]*>([\s\S]*?)<\/body>/)?.[1] ?? xml;
+  const segments = [];
+  for (const match of body.matchAll(/<p\b([^>]*?)(?:\/>|>([\s\S]*?)<\/p>)/g)) {
+    const attributes = readAttributes(match[1]);
+    segments.push(segment(number(attributes.t) / 1000, number(attributes.d) / 1000, match[2] ?? ''));
+  }
+  return segments.filter(Boolean);
+}
+
+// json3: events with segs; events without segs only position the window
+function parseJson3(payload) {
+  const data = typeof payload === 'string' ? JSON.parse(payload) : payload;
+  const segments = [];
+  for (const event of data?.events || []) {
+    if (!Array.isArray(event.segs)) continue;
+    const raw = event.segs.map(s => s.utf8 ?? '').join('');
+    segments.push(segment(number(event.tStartMs) / 1000, number(event.dDurationMs) / 1000, raw));
+  }
+  return segments.filter(Boolean);
+}
+
+// 'json3' | 'srv3' | 'timedtext' | null for a fetched caption payload
+export function detectCaptionFormat(payload) {
+  if (payload && typeof payload === 'object') return 'json3';
+  const text = String(payload || '').trimStart();
+  if (text.startsWith('{')) return 'json3';
+  if (/<timedtext\b[^>]*\bformat="3"/.test(text) || /<p\b[^>]*\bt="\d+"/.test(text)) return 'srv3';
+  if (/<text\b/.test(text)) return 'timedtext';
+  return null;
+}
+
+// Parse any supported caption payload into { start, duration, text } segments (seconds).
+// Throws when the payload is not a caption document; an empty track yields [].
+export function parseCaptions(payload) {
+  const format = detectCaptionFormat(payload);
+  if (format === 'json3') return parseJson3(payload);
+  if (format === 'srv3') return parseSrv3(payload);
+  if (format === 'timedtext') return parseTimedText(payload);
+  if (/<transcript\b|<timedtext\b/.test(String(payload))) return [];
+  throw new Error('Unrecognized caption payload');
+}
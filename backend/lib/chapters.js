@@ -0,0 +1,134 @@
+// lib/chapters.js
+// Video chapters, from the description ("00:00 Intro" lines, YouTube's own rules) or, when the
+// description has none, from the player's chapter markers (Innertube `next`), plus grouping of
+// transcript segments under each chapter.
+// Chapters are { title, start, end } with times in seconds; `end` is null when the video length
+// is unknown for the last chapter.
+
+import { callInnertube } from './innertube.js';
+
+// YouTube only shows description chapters when there are 3+, the first at 0:00, each 10s+ long
+const MIN_CHAPTERS = 3;
+const MIN_CHAPTER_SECONDS = 10;
+
+// Player markers are a nice-to-have; never hold a transcript up for long waiting on them
+const MARKERS_TIMEOUT_MS = 5000;
+
+const TIMESTAMP = '(?:(\\d{1,2}):)?(\\d{1,2}):(\\d{2})';
+// "00:00 Intro", "0:00 - Intro", "(1:02:03) Wrap-up", "- 3:15 | Setup"
+const LEADING_TIMESTAMP = new RegExp(`^[\\s\\-–—•*|>]*[\\[(]?${TIMESTAMP}[\\])]?\\s*[-–—:|.)]*\\s*(.+)$`);
+// "Intro - 00:00", "Setup (3:15)"
+const TRAILING_TIMESTAMP = new RegExp(`^[\\s\\-–—•*]*(.+?)\\s*[-–—:|]*\\s*[\\[(]?${TIMESTAMP}[\\])]?\\s*$`);
+
+function toSeconds(hours, minutes, seconds) {
+  return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+function parseChapterLine(line) {
+  let match = line.match(LEADING_TIMESTAMP);
+  if (match) return { start: toSeconds(match[1], match[2], match[3]), title: match[4] };
+  match = line.match(TRAILING_TIMESTAMP);
+  if (match) return { start: toSeconds(match[2], match[3], match[4]), title: match[1] };
+  return null;
+}
+
+function cleanTitle(title) {
+  return title.replace(/^[\s\-–—:|.]+|[\s\-–—:|]+$/g, '').trim();
+}
+
+// Fill in `end` from the next chapter (and the video length for the last one)
+function withEnds(chapters, videoDuration) {
+  return chapters.map((chapter, i) => ({
+    title: chapter.title,
+    start: chapter.start,
+    end: chapters[i + 1]?.start ?? (Number(videoDuration) > 0 ? Number(videoDuration) : null)
+  }));
+}
+
+// Chapters from a video description, or [] when it does not define valid chapters
+export function parseDescriptionChapters(description, videoDuration = null) {
+  const chapters = [];
+  for (const line of String(description || '').split(/\r?\n/)) {
+    const parsed = parseChapterLine(line.trim());
+    if (!parsed) continue;
+    const title = cleanTitle(parsed.title);
+    if (!title) continue;
+    // The list is the first ascending run of timestamps starting at 0:00
+    if (chapters.length === 0 && parsed.start !== 0) continue;
+    if (chapters.length > 0 && parsed.start <= chapters[chapters.length - 1].start) break;
+    chapters.push({ title, start: parsed.start });
+  }
+
+  if (chapters.length < MIN_CHAPTERS) return [];
+  const result = withEnds(chapters, videoDuration);
+  if (result.some(c => c.end !== null && c.end - c.start < MIN_CHAPTER_SECONDS)) return [];
+  return result;
+}
+
+// Depth-first search for chapterRenderer entries in a `next` response
+function collectChapterRenderers(node, found = []) {
+  if (Array.isArray(node)) {
+    for (const child of node) collectChapterRenderers(child, found);
+  } else if (node && typeof node === 'object') {
+    if (node.chapterRenderer) {
+      found.push(node.chapterRenderer);
+    } else {
+      for (const value of Object.values(node)) collectChapterRenderers(value, found);
+    }
+  }
+  return found;
+}
+
+// Chapter markers from the player (also set by YouTube's automatic chapters); [] when unavailable
+export async function fetchChapterMarkers(videoId, { videoDuration = null } = {}) {
+  try {
+    const data = await callInnertube('next', { videoId }, {
+      referer: `https://www.youtube.com/watch?v=${videoId}`,
+      signal: AbortSignal.timeout(MARKERS_TIMEOUT_MS)
+    });
+    const seen = new Set();
+    const chapters = collectChapterRenderers(data)
+      .map(c => ({
+        title: c.title?.simpleText || c.title?.runs?.map(r => r.text).join('') || '',
+        start: (Number(c.timeRangeStartMillis) || 0) / 1000
+      }))
+      // The same markers appear in several panels of the response
+      .filter(c => c.title && !seen.has(c.start) && seen.add(c.start))
+      .sort((a, b) => a.start - b.start);
+    return withEnds(chapters, videoDuration);
+  } catch (e) {
+    console.log(`⚠️ Chapter markers unavailable: ${e.message}`);
+    return [];
+  }
+}
+
+// Chapters for a video: description first (free, already fetched), then the player's markers.
+// Markers cost an extra Innertube call, so they are only fetched when `markers` is set (callers
+// set it for md output or an explicit `chapters` flag).
+export async function resolveChapters(videoId, { description = null, videoDuration = null, markers: withMarkers = false } = {}) {
+  const fromDescription = parseDescriptionChapters(description, videoDuration);
+  if (fromDescription.length > 0) return { chapters: fromDescription, source: 'description' };
+  if (!withMarkers) return { chapters: [], source: null };
+
+  const markers = await fetchChapterMarkers(videoId, { videoDuration });
+  return { chapters: markers, source: markers.length > 0 ? 'markers' : null };
+}
+
+// Index of the chapter a time falls in (-1 before the first chapter)
+function chapterIndexAt(chapters, seconds) {
+  let index = -1;
+  for (let i = 0; i < chapters.length && chapters[i].start <= seconds + 0.001; i++) index = i;
+  return index;
+}
+
+// Segments grouped under their chapter (by start time); segments before the first chapter,
+// if any, form an untitled leading group. Returns [{ title, start, end, segments }].
+export function groupByChapter(segments, chapters) {
+  const groups = chapters.map(chapter => ({ ...chapter, segments: [] }));
+  const leading = { title: null, start: 0, end: chapters[0]?.start ?? null, segments: [] };
+  for (const segment of segments) {
+    const index = chapterIndexAt(chapters, segment.start);
+    (index === -1 ? leading : groups[index]).segments.push(segment);
+  }
+  return leading.segments.length > 0 ? [leading, ...groups] : groups;
+}
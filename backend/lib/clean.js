@@ -0,0 +1,167 @@
+// lib/clean.js
+// Clean-read mode (`clean` request parameter): an optional pass over extracted segments that
+//   - tags:           drops sound annotations such as [Music], [Applause], (laughter) and ♪
+//   - speakerMarkers: drops ">>" speaker-change markers
+//   - fillers:        removes filler words (um, uh, ...)
+//   - repeats:        collapses immediately repeated words ("the the" -> "the")
+//   - quotes:         turns curly quotes into straight ones
+// and always normalizes whitespace. Each segment is cleaned on its own, so start/duration stay
+// aligned with the video; segments left empty are dropped. The report says what was removed.
+
+// [Music], (applause), ♪ ... ♪ and similar tags. Parentheses only count with a known word inside,
+// since captions also use them for asides.
+const NON_SPEECH_WORDS = 'music|applause|laughter|laughs|laughing|cheering|cheers|silence|inaudible|no audio|noise|foreign|sound effects?|musique|música|musik';
+export const NON_SPEECH_TAG = new RegExp(`\\[[^\\]]*\\]|\\((?:${NON_SPEECH_WORDS})\\)|[♪♫♬]+`, 'gi');
+
+export const DEFAULT_FILLER_WORDS = ['um', 'umm', 'uh', 'uhh', 'uhm', 'er', 'erm', 'hmm', 'hm', 'mm'];
+
+export const CLEAN_STEPS = ['tags', 'speakerMarkers', 'fillers', 'repeats', 'quotes'];
+
+// Shared 400 hint for an invalid `clean` parameter
+export const CLEAN_HINT = `clean: true, a list of ${CLEAN_STEPS.join(', ')}, or { step: false, fillerWords: [...] }`;
+
+const DEFAULT_OPTIONS = Object.fromEntries(CLEAN_STEPS.map(step => [step, true]));
+
+const SPEAKER_MARKER = />>+/g;
+const REPEATED_WORD = /(?<![\p{L}\p{N}'])([\p{L}\p{N}']+)(?:\s+\1(?![\p{L}\p{N}']))+/giu;
+const QUOTES = [[/[‘’‚‛′]/g, "'"], [/[“”„‟″]/g, '"']];
+
+function badOption(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toList(value) {
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// `clean` parameter -> options, or null when cleaning is off. Accepts true/1/"yes" (all steps),
+// a comma-separated list of steps ("tags,fillers"), or an object such as
+// { fillers: false } / { fillerWords: ["um", "like"] } merged over the defaults. Throws (status 400)
+// on unknown steps.
+export function resolveCleanOptions(clean) {
+  if (clean === undefined || clean === null || clean === false || clean === '') return null;
+  const flag = String(clean).trim().toLowerCase();
+  if (['0', 'false', 'no', 'off'].includes(flag)) return null;
+  if (clean === true || clean === 1 || ['1', 'true', 'yes', 'on'].includes(flag)) {
+    return { ...DEFAULT_OPTIONS, fillerWords: DEFAULT_FILLER_WORDS };
+  }
+
+  let options;
+  if (typeof clean === 'object' && !Array.isArray(clean)) {
+    const { fillerWords, ...steps } = clean;
+    options = { ...DEFAULT_OPTIONS };
+    for (const [step, enabled] of Object.entries(steps)) {
+      if (!CLEAN_STEPS.includes(step)) throw badOption(`Unknown clean option: ${step}`);
+      options[step] = enabled !== false && !['0', 'false', 'no', 'off'].includes(String(enabled).toLowerCase());
+    }
+    options.fillerWords = fillerWords === undefined ? DEFAULT_FILLER_WORDS : toList(fillerWords);
+  } else {
+    const steps = toList(clean);
+    const unknown = steps.filter(step => !CLEAN_STEPS.includes(step));
+    if (unknown.length > 0) throw badOption(`Unknown clean option: ${unknown.join(', ')}`);
+    options = Object.fromEntries(CLEAN_STEPS.map(step => [step, steps.includes(step)]));
+    options.fillerWords = DEFAULT_FILLER_WORDS;
+  }
+  return options;
+}
+
+// Stable short description of the options, for cache keys
+export function cleanOptionsKey(options) {
+  if (!options) return 'raw';
+  const steps = CLEAN_STEPS.filter(step => options[step]);
+  const fillers = options.fillers ? `:${[...options.fillerWords].sort().join('+')}` : '';
+  return `clean-${steps.join('+') || 'whitespace'}${fillers}`;
+}
+
+function tally(report, step, item) {
+  const entry = report[step];
+  entry.count += 1;
+  if (item !== undefined) entry.items[item] = (entry.items[item] || 0) + 1;
+}
+
+// Collapse whitespace and tidy what removals leave behind ("so , we" -> "so, we")
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.!?;:])/g, '$1')
+    .replace(/^[\s,;:]+/, '')
+    .replace(/([,;:])(?=[,;:.!?]|$)/g, '')
+    .trim();
+}
+
+function cleanText(text, options, fillerPattern, report) {
+  let result = String(text);
+
+  if (options.tags) {
+    result = result.replace(NON_SPEECH_TAG, tag => {
+      tally(report, 'tags', /^[♪♫♬]+$/.test(tag) ? '♪' : tag);
+      return ' ';
+    });
+  }
+  if (options.speakerMarkers) {
+    result = result.replace(SPEAKER_MARKER, () => {
+      tally(report, 'speakerMarkers');
+      return ' ';
+    });
+  }
+  if (fillerPattern) {
+    const capitalized = /^\s*\p{Lu}/u.test(result);
+    result = result.replace(fillerPattern, (match, word) => {
+      tally(report, 'fillers', word.toLowerCase());
+      return ' ';
+    });
+    // "Um, so we" -> "So we" rather than "so we"
+    if (capitalized) result = result.replace(/^\s*[,;:]?\s*(\p{Ll})/u, (_, ch) => ch.toUpperCase());
+  }
+  if (options.repeats) {
+    result = result.replace(REPEATED_WORD, (match, word) => {
+      tally(report, 'repeats', word.toLowerCase());
+      return word;
+    });
+  }
+  if (options.quotes) {
+    for (const [pattern, replacement] of QUOTES) result = result.replace(pattern, replacement);
+  }
+  return normalizeWhitespace(result);
+}
+
+// Clean `segments` ({ start, duration, text }) with resolved `options` (null: unchanged).
+// Returns { segments, report } where report = { options, removed: { tags, speakerMarkers,
+// fillers, repeats }, droppedSegments }; tags/fillers/repeats list what was removed and how often.
+export function cleanSegments(segments, options) {
+  if (!options) return { segments, report: null };
+
+  const report = {
+    tags: { count: 0, items: {} },
+    speakerMarkers: { count: 0 },
+    fillers: { count: 0, items: {} },
+    repeats: { count: 0, items: {} }
+  };
+
+  const fillerWords = options.fillers ? options.fillerWords.filter(Boolean) : [];
+  // A filler with the commas/ellipsis around it: "going to, uh, talk" -> "going to talk"
+  const fillerPattern = fillerWords.length > 0
+    ? new RegExp(`(?:,\\s*)?(?<![\\p{L}\\p{N}'])(${fillerWords.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}'])(?:,|\\.\\.\\.|…)?`, 'giu')
+    : null;
+
+  const cleaned = [];
+  for (const segment of segments) {
+    const text = cleanText(segment.text, options, fillerPattern, report);
+    if (text) cleaned.push({ ...segment, text });
+  }
+
+  return {
+    segments: cleaned,
+    report: {
+      options: { ...Object.fromEntries(CLEAN_STEPS.map(step => [step, Boolean(options[step])])), fillerWords },
+      removed: report,
+      droppedSegments: segments.length - cleaned.length
+    }
+  };
+}
@@ -0,0 +1,19 @@
+// lib/concurrency.js
+// Run async work over a list with a cap on how many tasks are in flight
+
+// Resolves to results in input order; the first rejection rejects the whole run
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
@@ -0,0 +1,34 @@
+// lib/cors.js
+// Shared CORS handling for the handlers in api/, whether Vercel runs them as functions
+// or index.js mounts them into Express
+
+const ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'X-Request-Id'];
+
+function splitHeader(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Set the CORS headers for one response. Exposed headers are merged with any already
+// set (e.g. by the Express cors middleware) rather than replacing them.
+export function setCorsHeaders(res, { methods = ['POST'], exposeHeaders = [] } = {}) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS.join(', '));
+  res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+
+  const exposed = new Set([...splitHeader(res.getHeader?.('Access-Control-Expose-Headers')), ...exposeHeaders]);
+  if (exposed.size > 0) {
+    res.setHeader('Access-Control-Expose-Headers', [...exposed].join(', '));
+  }
+}
+
+// Wrap an api handler: answers OPTIONS preflights and sets CORS headers on every other response
+export function withCors(handler, options = {}) {
+  return async function corsHandler(req, res) {
+    setCorsHeaders(res, options);
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,82 @@
+// lib/download.js
+// Raw file responses for the caption endpoints: `download=1` returns the subtitle/text file
+// itself (instead of the JSON envelope), compressed with brotli or gzip per Accept-Encoding
+
+import zlib from 'zlib';
+import { SUBTITLE_FORMATS } from './formatters.js';
+
+// Small files are not worth the compression overhead
+const MIN_COMPRESS_BYTES = 1024;
+
+// Encodings we can produce, in order of preference when the client's q-values tie
+const ENCODINGS = ['br', 'gzip'];
+
+// Request parameters: the query string for GET (shareable links), the JSON body otherwise
+export function requestParams(req) {
+  return req.method === 'GET' ? (req.query || {}) : (req.body || {});
+}
+
+// Boolean flag from a JSON body or query string (true, 1, "1", "true", "yes")
+export function isTruthyParam(value) {
+  return value === true || value === 1 || ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+// Whether the client asked for the raw file (download=1)
+export function wantsDownload(params) {
+  return isTruthyParam(params?.download);
+}
+
+// Best encoding the client accepts, or null for identity
+export function negotiateEncoding(acceptEncoding) {
+  const accepted = new Map();
+  for (const part of String(acceptEncoding || '').split(',')) {
+    const [name, ...attrs] = part.trim().toLowerCase().split(';');
+    if (!name) continue;
+    const q = attrs.map(a => a.trim()).find(a => a.startsWith('q='));
+    accepted.set(name, q ? Number(q.slice(2)) : 1);
+  }
+
+  let best = null;
+  let bestQ = 0;
+  for (const encoding of ENCODINGS) {
+    const q = accepted.get(encoding) ?? accepted.get('*') ?? 0;
+    if (q > bestQ) {
+      best = encoding;
+      bestQ = q;
+    }
+  }
+  return best;
+}
+
+function compress(buffer, encoding) {
+  if (encoding === 'br') {
+    return zlib.brotliCompressSync(buffer, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length
+      }
+    });
+  }
+  if (encoding === 'gzip') {
+    return zlib.gzipSync(buffer, { level: zlib.constants.Z_BEST_COMPRESSION });
+  }
+  return buffer;
+}
+
+// Send `text` as an attachment with the MIME type of `format` (a SUBTITLE_FORMATS key)
+export function sendTranscriptFile(req, res, { videoId, format, text, source }) {
+  const { extension, contentType } = SUBTITLE_FORMATS[format];
+  const buffer = Buffer.from(String(text), 'utf8');
+  const encoding = buffer.length >= MIN_COMPRESS_BYTES
+    ? negotiateEncoding(req.headers?.['accept-encoding'])
+    : null;
+  const body = compress(buffer, encoding);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${videoId}.${extension}"`);
+  res.setHeader('Vary', 'Accept-Encoding');
+  if (source) res.setHeader('X-Transcript-Source', source);
+  if (encoding) res.setHeader('Content-Encoding', encoding);
+  res.setHeader('Content-Length', String(body.length));
+  res.status(200).end(body);
+}
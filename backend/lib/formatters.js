@@ -0,0 +1,187 @@
+// lib/formatters.js
+// Shared subtitle/transcript formatters used by every endpoint
+// Input is always an array of { start, duration, text } segments with times in seconds
+// (caption cues, or paragraphs from lib/paragraphs.js with layout: 'paragraphs')
+
+import { groupByChapter } from './chapters.js';
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+export const SUBTITLE_FORMATS = {
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  sbv: { extension: 'sbv', contentType: 'text/plain; charset=utf-8' },
+  ttml: { extension: 'ttml', contentType: 'application/ttml+xml; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' }
+};
+
+// Aliases accepted in the `format` parameter
+const FORMAT_ALIASES = {
+  text: 'txt',
+  webvtt: 'vtt',
+  xml: 'ttml',
+  dfxp: 'ttml',
+  json3: 'json',
+  markdown: 'md'
+};
+
+// Returns the canonical format key, or null when the format is not supported
+export function normalizeFormat(format = 'txt') {
+  const key = String(format || 'txt').trim().toLowerCase();
+  const canonical = FORMAT_ALIASES[key] || key;
+  return Object.hasOwn(SUBTITLE_FORMATS, canonical) ? canonical : null;
+}
+
+export function supportedFormats() {
+  return Object.keys(SUBTITLE_FORMATS);
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, ch => XML_ESCAPES[ch]);
+}
+
+// Split seconds into whole h/m/s/ms, rounding once to avoid float drift (1.1 -> 1,099)
+function splitTime(seconds) {
+  const totalMs = Math.max(0, Math.round((Number(seconds) || 0) * 1000));
+  return {
+    hours: Math.floor(totalMs / 3600000),
+    minutes: Math.floor((totalMs % 3600000) / 60000),
+    seconds: Math.floor((totalMs % 60000) / 1000),
+    ms: totalMs % 1000
+  };
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// 00:01:02,345 (SRT) or 00:01:02.345 (VTT/TTML)
+export function formatTimestamp(seconds, separator = ',') {
+  const t = splitTime(seconds);
+  return `${pad(t.hours)}:${pad(t.minutes)}:${pad(t.seconds)}${separator}${pad(t.ms, 3)}`;
+}
+
+// 0:01:02.345 (SBV uses an unpadded hour)
+function formatSbvTimestamp(seconds) {
+  const t = splitTime(seconds);
+  return `${t.hours}:${pad(t.minutes)}:${pad(t.seconds)}.${pad(t.ms, 3)}`;
+}
+
+// 1:02 or 1:01:02 (reading timestamps for paragraphs and chapter headings)
+function formatClock(seconds) {
+  const t = splitTime(seconds);
+  return t.hours > 0 ? `${t.hours}:${pad(t.minutes)}:${pad(t.seconds)}` : `${t.minutes}:${pad(t.seconds)}`;
+}
+
+const endOf = segment => (Number(segment.start) || 0) + (Number(segment.duration) || 0);
+
+// Cues run together as one string; paragraphs get their start time and a blank line between them
+export function formatAsText(segments, { layout = 'segments' } = {}) {
+  if (layout === 'paragraphs') {
+    return segments.map(s => `[${formatClock(s.start)}] ${s.text}`).join('\n\n');
+  }
+  return segments.map(s => s.text).join(' ');
+}
+
+export function formatAsSrt(segments) {
+  return segments.map((s, index) => {
+    return `${index + 1}\n${formatTimestamp(s.start)} --> ${formatTimestamp(endOf(s))}\n${s.text}\n`;
+  }).join('\n');
+}
+
+export function formatAsVtt(segments) {
+  const cues = segments.map(s => {
+    // "-->" and markup characters are not allowed inside cue payloads
+    const text = String(s.text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return `${formatTimestamp(s.start, '.')} --> ${formatTimestamp(endOf(s), '.')}\n${text}\n`;
+  });
+  return `WEBVTT\n\n${cues.join('\n')}`;
+}
+
+export function formatAsSbv(segments) {
+  return segments.map(s => {
+    return `${formatSbvTimestamp(s.start)},${formatSbvTimestamp(endOf(s))}\n${s.text}\n`;
+  }).join('\n');
+}
+
+export function formatAsTtml(segments, { language = 'en' } = {}) {
+  const paragraphs = segments.map(s => {
+    const begin = formatTimestamp(s.start, '.');
+    const end = formatTimestamp(endOf(s), '.');
+    return `      <p begin="${begin}" end="${end}">${escapeXml(s.text)}</p>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<tt xmlns="http://www.w3.org/ns/ttml" xml:lang="${escapeXml(language || 'en')}">`,
+    '  <body>',
+    '    <div>',
+    ...paragraphs,
+    '    </div>',
+    '  </body>',
+    '</tt>',
+    ''
+  ].join('\n');
+}
+
+// Backslash-escape what Markdown would read as formatting, inline or at the start of a block
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/[\\`*_[\]<>|]/g, '\\$&')
+    .replace(/^(\s*)(#|>|[-+](?=\s)|\d+(?=[.)]\s))/, '$1\\$2');
+}
+
+// Markdown document: `# title`, then a `## Chapter (m:ss)` heading per chapter (see lib/chapters.js)
+// with its text underneath. Paragraphs (layout: 'paragraphs') stay separate blocks; cues are
+// joined into one block per chapter.
+export function formatAsMarkdown(segments, { title = null, chapters = [], layout = 'segments' } = {}) {
+  const body = list => (layout === 'paragraphs'
+    ? list.map(s => escapeMarkdown(s.text))
+    : [escapeMarkdown(list.map(s => s.text).join(' '))]
+  ).filter(Boolean);
+
+  const blocks = [];
+  if (title) blocks.push(`# ${escapeMarkdown(title)}`);
+  if (chapters?.length > 0) {
+    for (const group of groupByChapter(segments, chapters)) {
+      // Cleaning can empty a chapter; a heading with nothing under it is noise
+      if (group.segments.length === 0) continue;
+      if (group.title !== null) blocks.push(`## ${escapeMarkdown(group.title)} (${formatClock(group.start)})`);
+      blocks.push(...body(group.segments));
+    }
+  } else {
+    blocks.push(...body(segments));
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
+
+// YouTube's json3 layout: { events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }
+export function formatAsJson3(segments) {
+  return JSON.stringify({
+    wireMagic: 'pb3',
+    events: segments.map(s => ({
+      tStartMs: Math.round((Number(s.start) || 0) * 1000),
+      dDurationMs: Math.round((Number(s.duration) || 0) * 1000),
+      segs: [{ utf8: s.text }]
+    }))
+  });
+}
+
+const FORMATTERS = {
+  txt: formatAsText,
+  srt: formatAsSrt,
+  vtt: formatAsVtt,
+  sbv: formatAsSbv,
+  ttml: formatAsTtml,
+  json: formatAsJson3,
+  md: formatAsMarkdown
+};
+
+// Format segments into the requested output; throws on unsupported formats
+export function formatTranscript(segments, format = 'txt', options = {}) {
+  const key = normalizeFormat(format);
+  if (!key) {
+    throw new Error(`Unsupported format: ${format}. Supported: ${supportedFormats().join(', ')}`);
+  }
+  return FORMATTERS[key](segments || [], options);
+}
@@ -0,0 +1,140 @@
+// lib/jobs.js
+// In-memory job queue for long-running audio transcriptions.
+// Jobs run detached from the HTTP request that created them, so a client
+// disconnect does not abort the work; clients poll for status instead.
+
+import crypto from "crypto";
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const JOB_CONCURRENCY = envNumber("JOB_CONCURRENCY", 2);
+// Finished jobs are kept this long so clients can still fetch the result
+const JOB_TTL_MS = envNumber("JOB_TTL_MS", 60 * 60 * 1000);
+// Queued, running and retained finished jobs together; createJob refuses new jobs beyond this
+const JOB_MAX = envNumber("JOB_MAX", 200);
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+const FINISHED = new Set(["completed", "failed", "cancelled"]);
+
+function touch(job, patch) {
+  Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+}
+
+function scheduleExpiry(job) {
+  const timer = setTimeout(() => jobs.delete(job.id), JOB_TTL_MS);
+  timer.unref?.();
+}
+
+function finish(job, patch) {
+  touch(job, patch);
+  scheduleExpiry(job);
+}
+
+async function runJob(job) {
+  running++;
+  touch(job, { status: "running", startedAt: new Date().toISOString() });
+
+  try {
+    const result = await job.task({
+      signal: job.controller.signal,
+      onProgress: progress => {
+        if (!FINISHED.has(job.status)) touch(job, { progress: { ...job.progress, ...progress } });
+      },
+    });
+    // A cancelled job was already finished by cancelJob; drop whatever the task produced
+    if (!job.controller.signal.aborted) {
+      finish(job, { status: "completed", result, progress: { ...job.progress, phase: "done", percent: 100 } });
+    }
+  } catch (e) {
+    if (!job.controller.signal.aborted) {
+      finish(job, {
+        status: "failed",
+        error: {
+          message: e?.message || String(e),
+          status: e?.status || 500,
+          // Stable code/retryable flag when the task classified its failure (see lib/youtube-errors.js)
+          ...(typeof e?.retryable === "boolean" ? { code: e.code, retryable: e.retryable } : {}),
+          ...(e?.hint ? { hint: e.hint } : {}),
+        },
+      });
+    }
+  } finally {
+    running--;
+    drain();
+  }
+}
+
+function drain() {
+  while (running < JOB_CONCURRENCY && queue.length > 0) {
+    const job = queue.shift();
+    if (job.status === "queued") runJob(job);
+  }
+}
+
+// Enqueue `task({ signal, onProgress })`; returns the queued job right away.
+// Throws an error with status 503 when JOB_MAX jobs are already queued, running or retained.
+export function createJob(task, meta = {}) {
+  if (jobs.size >= JOB_MAX) {
+    throw Object.assign(new Error(`Too many jobs (limit ${JOB_MAX}); try again later`), {
+      status: 503,
+      hint: "Finished jobs are kept for JOB_TTL_MS; raise JOB_MAX or lower JOB_TTL_MS for more headroom",
+    });
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    progress: { phase: "queued", percent: 0 },
+    meta,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    task,
+    controller: new AbortController(),
+  };
+  jobs.set(job.id, job);
+  queue.push(job);
+  drain();
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Cancel a queued or running job; returns false when it had already finished
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || FINISHED.has(job.status)) return false;
+
+  // Running tasks observe the signal at their next checkpoint and clean up their temp files
+  job.controller.abort();
+  const index = queue.indexOf(job);
+  if (index !== -1) queue.splice(index, 1);
+  finish(job, { status: "cancelled" });
+  return true;
+}
+
+// Public view of a job (no task/controller internals)
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    ...job.meta,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    updatedAt: job.updatedAt,
+    ...(job.status === "completed" ? { result: job.result } : {}),
+    ...(job.status === "failed" ? { error: job.error } : {}),
+  };
+}
@@ -0,0 +1,48 @@
+// lib/languages.js
+// Language codes from what transcription sources report: caption tracks use BCP-47 codes
+// ("en", "pt-BR"), Whisper's verbose_json reports the detected language by English name
+// ("english", "haitian creole").
+
+// Languages Whisper can detect
+const WHISPER_LANGUAGES = (
+  'en zh de es ru ko fr ja pt tr pl ca nl ar sv it id hi fi vi he uk el ms cs ro da hu ta no th ur ' +
+  'hr bg lt la mi ml cy sk te fa lv bn sr az sl kn et mk br eu is hy ne mn bs kk sq sw gl mr pa si ' +
+  'km sn yo so af oc ka be tg sd gu am yi lo uz fo ht ps tk nn mt sa lb my bo tl mg as tt haw ln ' +
+  'ha ba jv su yue'
+).split(' ');
+
+// Names Whisper uses that differ from the CLDR English names
+const NAME_ALIASES = {
+  myanmar: 'my',
+  castilian: 'es',
+  valencian: 'ca',
+  flemish: 'nl',
+  haitian: 'ht',
+  letzeburgesch: 'lb',
+  pushto: 'ps',
+  panjabi: 'pa',
+  moldavian: 'ro',
+  moldovan: 'ro',
+  sinhalese: 'si',
+  nynorsk: 'nn',
+  tagalog: 'tl',
+  mandarin: 'zh'
+};
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+const CODES_BY_NAME = {
+  ...Object.fromEntries(WHISPER_LANGUAGES.map(code => [displayNames.of(code)?.toLowerCase(), code])),
+  ...NAME_ALIASES
+};
+
+// Base ISO code for a language code or English name ("en-US" -> "en", "Spanish" -> "es").
+// null when empty; unknown names are returned lowercased rather than guessed.
+export function languageCode(language) {
+  const value = String(language || '').trim().toLowerCase();
+  if (!value) return null;
+  // Names first: "lao" is a name, not a code
+  if (CODES_BY_NAME[value]) return CODES_BY_NAME[value];
+  const code = value.split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(code) ? code : value;
+}
@@ -0,0 +1,229 @@
+// lib/metadata.js
+// Video metadata (title, channel, duration, publish date, description, keywords, thumbnails,
+// view count, live/short flags) merged from whichever sources answer:
+//   1. YouTube Data API videos.list (only with an API key; most complete and localized)
+//   2. Innertube player response (videoDetails + microformat)
+//   3. youtube-caption-extractor getVideoDetails (title and description only)
+// Sources run in parallel; each field comes from the first source above that has it.
+
+import { getVideoDetails } from 'youtube-caption-extractor';
+import { fetchPlayerResponse } from './innertube.js';
+import { YouTubeError, playabilityError } from './youtube-errors.js';
+import { cached, metadataCacheKey } from './cache.js';
+
+const DATA_API_URL = 'https://www.googleapis.com/youtube/v3';
+
+// View counts and live flags go stale faster than transcripts
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+// Shorts are at most 3 minutes long; longer videos are never probed
+const MAX_SHORT_SECONDS = 180;
+const SHORTS_PROBE_TIMEOUT_MS = 5000;
+
+// Placeholders youtube-caption-extractor returns instead of missing values
+const EXTRACTOR_PLACEHOLDERS = new Set(['No title found', 'No description found']);
+
+const FIELDS = [
+  'title', 'channel', 'durationSeconds', 'publishDate', 'description', 'keywords',
+  'thumbnails', 'viewCount', 'isLive', 'isLiveContent', 'isUpcoming'
+];
+
+// PT1H2M3S -> 3723 (live streams report P0D, which means unknown)
+export function parseIsoDuration(duration) {
+  const match = String(duration || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+  if (!match) return null;
+  const [, days, hours, minutes, seconds] = match.map(v => Number(v) || 0);
+  const total = days * 86400 + hours * 3600 + minutes * 60 + seconds;
+  return total > 0 ? total : null;
+}
+
+const count = value => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// Thumbnails as [{ url, width, height }], smallest first
+function normalizeThumbnails(list) {
+  return (list || [])
+    .filter(t => t?.url)
+    .map(t => ({ url: t.url, width: t.width || null, height: t.height || null }))
+    .sort((a, b) => (a.width || 0) - (b.width || 0));
+}
+
+function channelInfo(id, name) {
+  if (!id && !name) return null;
+  return { id: id || null, name: name || null, url: id ? `https://www.youtube.com/channel/${id}` : null };
+}
+
+// ============================================
+// SOURCES
+// Each resolves to a partial metadata object (missing fields undefined/null) or throws
+// ============================================
+async function fromDataApi(videoId, { apiKey, lang, signal }) {
+  const query = new URLSearchParams({
+    part: 'snippet,contentDetails,statistics,liveStreamingDetails',
+    id: videoId,
+    key: apiKey,
+    ...(lang ? { hl: lang } : {})
+  });
+  const response = await fetch(`${DATA_API_URL}/videos?${query}`, { signal });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw Object.assign(new Error(`YouTube API error: ${data.error?.message || response.status}`), {
+      status: response.status === 404 ? 404 : 502
+    });
+  }
+
+  const video = data.items?.[0];
+  if (!video) throw new YouTubeError('VIDEO_UNAVAILABLE', 'Video not found (YouTube Data API)');
+
+  const { snippet = {}, contentDetails = {}, statistics = {} } = video;
+  return {
+    title: snippet.localized?.title || snippet.title,
+    channel: channelInfo(snippet.channelId, snippet.channelTitle),
+    durationSeconds: parseIsoDuration(contentDetails.duration),
+    publishDate: snippet.publishedAt,
+    description: snippet.localized?.description ?? snippet.description,
+    keywords: snippet.tags,
+    thumbnails: normalizeThumbnails(Object.values(snippet.thumbnails || {})),
+    viewCount: count(statistics.viewCount),
+    isLive: snippet.liveBroadcastContent === 'live',
+    isLiveContent: Boolean(video.liveStreamingDetails),
+    isUpcoming: snippet.liveBroadcastContent === 'upcoming'
+  };
+}
+
+async function fromInnertube(videoId, { lang, signal }) {
+  const playerResponse = await fetchPlayerResponse(videoId, { lang, signal });
+  const details = playerResponse?.videoDetails;
+  // Unplayable videos (private, removed) come back without videoDetails
+  if (!details) throw playabilityError(playerResponse) || new Error('No videoDetails in player response');
+
+  const microformat = playerResponse.microformat?.playerMicroformatRenderer || {};
+  return {
+    title: details.title,
+    channel: channelInfo(details.channelId, details.author),
+    durationSeconds: Number(details.lengthSeconds) || null,
+    publishDate: microformat.publishDate || microformat.uploadDate,
+    description: details.shortDescription,
+    keywords: details.keywords,
+    thumbnails: normalizeThumbnails(details.thumbnail?.thumbnails),
+    viewCount: count(details.viewCount),
+    isLive: Boolean(details.isLive || microformat.liveBroadcastDetails?.isLiveNow),
+    isLiveContent: Boolean(details.isLiveContent),
+    isUpcoming: Boolean(details.isUpcoming)
+  };
+}
+
+async function fromCaptionExtractor(videoId, { lang, signal }) {
+  const abortableFetch = (url, options = {}) => fetch(url, { ...options, signal });
+  const details = await getVideoDetails({ videoID: videoId, lang, fetch: abortableFetch });
+  const value = text => (text && !EXTRACTOR_PLACEHOLDERS.has(text) ? text : null);
+  return { title: value(details.title), description: value(details.description) };
+}
+
+// youtube.com/shorts/<id> serves Shorts directly and redirects everything else to /watch.
+// null when YouTube does not answer either way.
+async function probeShort(videoId) {
+  try {
+    const response = await fetch(`https://www.youtube.com/shorts/${videoId}`, {
+      method: 'HEAD',
+      redirect: 'manual',
+      signal: AbortSignal.timeout(SHORTS_PROBE_TIMEOUT_MS)
+    });
+    if (response.status === 200) return true;
+    if (response.status >= 300 && response.status < 400) return false;
+    return null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============================================
+// MERGE
+// ============================================
+const hasValue = value => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+// First source (in priority order) with a value wins, field by field
+function mergeSources(partials) {
+  const merged = {};
+  for (const field of FIELDS) {
+    const found = partials.find(partial => hasValue(partial[field]));
+    merged[field] = found ? found[field] : null;
+  }
+  merged.keywords = merged.keywords || [];
+  merged.thumbnails = merged.thumbnails || [];
+  return merged;
+}
+
+const SOURCES = [
+  { name: 'youtube-data-api', run: fromDataApi, requiresApiKey: true },
+  { name: 'youtube-innertube-api', run: fromInnertube },
+  { name: 'youtube-caption-extractor', run: fromCaptionExtractor }
+];
+
+// Fetch and merge metadata for one video, uncached. `sources` reports what each source did.
+// Throws the most specific error when no source answers.
+export async function fetchVideoMetadata(videoId, { apiKey = null, lang = 'en', signal } = {}) {
+  const eligible = SOURCES.filter(source => !source.requiresApiKey || apiKey);
+  const settled = await Promise.allSettled(eligible.map(source => source.run(videoId, { apiKey, lang, signal })));
+
+  const partials = [];
+  const errors = [];
+  const sources = eligible.map((source, i) => {
+    const outcome = settled[i];
+    if (outcome.status === 'fulfilled') {
+      partials.push(outcome.value);
+      return { name: source.name, success: true };
+    }
+    errors.push(outcome.reason);
+    console.log(`⚠️ Metadata from ${source.name} failed: ${outcome.reason?.message}`);
+    return { name: source.name, success: false, error: outcome.reason?.message || String(outcome.reason) };
+  });
+
+  if (partials.length === 0) {
+    throw errors.find(e => e instanceof YouTubeError) || errors[0];
+  }
+
+  const metadata = mergeSources(partials);
+  const isShort = metadata.durationSeconds !== null && metadata.durationSeconds > MAX_SHORT_SECONDS
+    ? false
+    : await probeShort(videoId);
+
+  return { videoId, ...metadata, isShort, sources };
+}
+
+// fetchVideoMetadata through the shared cache (see lib/cache.js); resolves to { data, cache }
+export async function getVideoMetadata(videoId, { apiKey = null, lang = 'en', fresh = false } = {}) {
+  const key = metadataCacheKey({ videoId, lang, withApiKey: Boolean(apiKey) });
+  const { value: data, cache } = await cached(
+    key,
+    run => fetchVideoMetadata(videoId, { apiKey, lang, signal: run.signal }),
+    { fresh, ttlMs: METADATA_TTL_MS }
+  );
+  return { data, cache };
+}
+
+// includeMetadata on transcript calls: a metadata failure never fails the transcript, it is
+// reported as metadataError instead. Resolves to { metadata } or { metadata: null, metadataError }.
+export async function optionalMetadata(videoId, options) {
+  try {
+    const { data } = await getVideoMetadata(videoId, options);
+    return { metadata: data };
+  } catch (error) {
+    console.log(`⚠️ Metadata unavailable for ${videoId}: ${error.message}`);
+    return { metadata: null, metadataError: error.message };
+  }
+}
+
+// Transcript payload with the optionalMetadata result attached; the metadata title replaces
+// a missing or 'Unknown' videoTitle (several extraction methods cannot read the title)
+export function attachMetadata(data, { metadata, metadataError }) {
+  const knownTitle = data.videoTitle && data.videoTitle !== 'Unknown' && !EXTRACTOR_PLACEHOLDERS.has(data.videoTitle)
+    ? data.videoTitle
+    : null;
+  return {
+    ...data,
+    videoTitle: knownTitle || metadata?.title || data.videoTitle || 'Unknown',
+    metadata,
+    ...(metadataError ? { metadataError } : {})
+  };
+}
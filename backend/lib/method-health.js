@@ -0,0 +1,148 @@
+// lib/method-health.js
+// Rolling success rate, latency and a circuit breaker per extraction method.
+// State lives for the life of the process (one warm instance), which is exactly
+// the scope in which "this method has failed 100 times in a row" is worth remembering.
+//
+//   METHOD_STATS_WINDOW          attempts kept per method (default 50)
+//   BREAKER_FAILURE_THRESHOLD    consecutive method failures that open the breaker (default 5)
+//   BREAKER_COOLDOWN_MS          how long an open breaker skips the method (default 300000)
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const WINDOW_SIZE = envNumber('METHOD_STATS_WINDOW', 50);
+const FAILURE_THRESHOLD = envNumber('BREAKER_FAILURE_THRESHOLD', 5);
+const COOLDOWN_MS = envNumber('BREAKER_COOLDOWN_MS', 5 * 60 * 1000);
+
+// Failures that say something about the video or the request, not about the method itself
+const NEUTRAL_CATEGORIES = new Set(['cancelled', 'circuit_open', 'config', 'no_captions', 'no_translation', 'not_found', 'unplayable', 'insufficient_content']);
+
+const methods = new Map();
+
+function stateFor(method) {
+  if (!methods.has(method)) {
+    methods.set(method, {
+      samples: [],
+      consecutiveFailures: 0,
+      state: 'closed',
+      openedAt: null,
+      // openedAt of the open breaker a half-open trial came from
+      trialFromOpenedAt: null,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null
+    });
+  }
+  return methods.get(method);
+}
+
+function open(entry) {
+  entry.state = 'open';
+  entry.openedAt = Date.now();
+}
+
+// A half-open trial that told us nothing (cancelled, or a neutral failure) goes back to open
+// with its original openedAt, so the next request can run the trial again
+function abandonTrial(entry) {
+  if (entry?.state !== 'half-open') return;
+  entry.state = 'open';
+  entry.openedAt = entry.trialFromOpenedAt;
+}
+
+// Record one finished attempt (shape of a trace attempt: { method, success, durationMs, category, details })
+export function recordAttempt({ method, success, durationMs, category, details }) {
+  // Skipped methods never ran
+  if (category === 'circuit_open') return;
+  // Race losers were cancelled by us
+  if (category === 'cancelled') {
+    abandonTrial(methods.get(method));
+    return;
+  }
+
+  const entry = stateFor(method);
+  entry.samples.push({ success, durationMs });
+  if (entry.samples.length > WINDOW_SIZE) entry.samples.shift();
+
+  if (success) {
+    entry.consecutiveFailures = 0;
+    entry.lastSuccessAt = new Date().toISOString();
+    entry.state = 'closed';
+    entry.openedAt = null;
+    return;
+  }
+
+  entry.lastFailureAt = new Date().toISOString();
+  entry.lastError = { category: category || 'unknown', message: details };
+  if (NEUTRAL_CATEGORIES.has(category)) {
+    abandonTrial(entry);
+    return;
+  }
+
+  entry.consecutiveFailures++;
+  if (entry.state === 'half-open' || entry.consecutiveFailures >= FAILURE_THRESHOLD) {
+    open(entry);
+  }
+}
+
+// Whether the method may run now. Once per cooldown period an open breaker lets one
+// trial request through (half-open); its result closes or re-opens the breaker.
+export function canRun(method) {
+  const entry = stateFor(method);
+  if (entry.state === 'closed') return true;
+
+  if (Date.now() - entry.openedAt >= COOLDOWN_MS) {
+    entry.state = 'half-open';
+    entry.trialFromOpenedAt = entry.openedAt;
+    entry.openedAt = Date.now();
+    return true;
+  }
+  return false;
+}
+
+// Whether canRun would let the method through, without handing out the half-open trial
+export function isAvailable(method) {
+  const entry = stateFor(method);
+  return entry.state === 'closed' || (entry.state === 'open' && Date.now() - entry.openedAt >= COOLDOWN_MS);
+}
+
+// When an open breaker lets the method run again
+export function retryAt(method) {
+  const entry = stateFor(method);
+  return entry.openedAt ? new Date(entry.openedAt + COOLDOWN_MS).toISOString() : null;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+// Snapshot for /health
+export function getMethodHealth() {
+  const snapshot = {};
+  for (const [method, entry] of methods) {
+    const total = entry.samples.length;
+    const successes = entry.samples.filter(s => s.success).length;
+    const latencies = entry.samples.map(s => s.durationMs).filter(Number.isFinite).sort((a, b) => a - b);
+
+    snapshot[method] = {
+      state: entry.state,
+      successRate: total > 0 ? Number((successes / total).toFixed(3)) : null,
+      samples: total,
+      avgLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+      p95LatencyMs: percentile(latencies, 95),
+      consecutiveFailures: entry.consecutiveFailures,
+      lastError: entry.lastError,
+      lastSuccessAt: entry.lastSuccessAt,
+      lastFailureAt: entry.lastFailureAt,
+      ...(entry.state !== 'closed' ? { retryAt: retryAt(method) } : {})
+    };
+  }
+  return {
+    window: WINDOW_SIZE,
+    failureThreshold: FAILURE_THRESHOLD,
+    cooldownMs: COOLDOWN_MS,
+    methods: snapshot
+  };
+}
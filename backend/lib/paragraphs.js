@@ -0,0 +1,172 @@
+// lib/paragraphs.js
+// layout=paragraphs: turn caption cues into a readable document.
+//   1. de-duplicate the rolling/overlapping cues auto-generated (ASR) tracks repeat
+//   2. group words into sentences: on punctuation when the track has it, otherwise on pauses
+//      (ASR tracks are unpunctuated; those sentences get a capital and a full stop)
+//   3. group sentences into paragraphs on longer pauses and a length cap
+// Paragraphs come out as { start, duration, text, sentences } so the shared formatters render them.
+
+export const LAYOUTS = ['segments', 'paragraphs'];
+
+// Silence (seconds) that ends a sentence in unpunctuated tracks, and one that starts a paragraph
+const SENTENCE_PAUSE_SECONDS = 0.8;
+const PARAGRAPH_PAUSE_SECONDS = 2;
+
+// Caps so a pause-free monologue still gets broken up. ASR timedtext cues overlap, which hides
+// most pauses, so unpunctuated sentences also end at the first cue boundary past the soft cap.
+const SOFT_SENTENCE_WORDS = 20;
+const MAX_SENTENCE_WORDS = 35;
+const MAX_PARAGRAPH_WORDS = 120;
+
+// At least one sentence end per this many words means the track is punctuated
+const PUNCTUATED_WORDS_PER_SENTENCE = 60;
+
+const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+const ABBREVIATIONS = new Set(['mr.', 'mrs.', 'ms.', 'dr.', 'prof.', 'st.', 'vs.', 'etc.', 'e.g.', 'i.e.', 'no.', 'jr.', 'sr.']);
+
+// Returns the canonical layout, or null when it is not supported
+export function normalizeLayout(layout = 'segments') {
+  const key = String(layout || 'segments').trim().toLowerCase();
+  return LAYOUTS.includes(key) ? key : null;
+}
+
+const endOf = segment => segment.start + segment.duration;
+const words = text => String(text).split(/\s+/).filter(Boolean);
+const comparable = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+// Longest k where the last k words of `previous` are the first k words of `current`
+function overlapLength(previous, current) {
+  const max = Math.min(previous.length, current.length);
+  for (let k = max; k > 0; k--) {
+    let same = true;
+    for (let i = 0; i < k && same; i++) {
+      same = comparable(previous[previous.length - k + i]) === comparable(current[i]);
+    }
+    if (same) return k;
+  }
+  return 0;
+}
+
+// Drop words a cue repeats from the cue before it. Only cues that start before (or right after)
+// the previous one ends count, and a single repeated word only when it is the whole cue, so
+// genuine repetitions ("no no no") survive.
+export function dedupeSegments(segments) {
+  const result = [];
+  for (const segment of segments) {
+    const previous = result[result.length - 1];
+    let current = words(segment.text);
+
+    if (previous && segment.start <= endOf(previous) + 1) {
+      const k = overlapLength(words(previous.text), current);
+      if (k >= 2 || (k > 0 && k === current.length)) current = current.slice(k);
+      if (current.length === 0) {
+        previous.duration = Math.max(previous.duration, endOf(segment) - previous.start);
+        continue;
+      }
+    }
+    result.push({ start: segment.start, duration: segment.duration, text: current.join(' ') });
+  }
+  return result;
+}
+
+// Words with estimated times: a cue's words are spread evenly over its duration.
+// A cue's last word also carries the cue end and the pause before the next cue.
+function timedWords(segments) {
+  const timed = [];
+  for (const segment of segments) {
+    const list = words(segment.text);
+    list.forEach((word, i) => {
+      timed.push({
+        word,
+        start: segment.start + (segment.duration * i) / list.length,
+        end: segment.start + (segment.duration * (i + 1)) / list.length,
+        cueEnd: i === list.length - 1 ? endOf(segment) : null,
+        pauseAfter: null
+      });
+    });
+  }
+  for (let i = 0; i < timed.length - 1; i++) {
+    if (timed[i].cueEnd !== null) timed[i].pauseAfter = timed[i + 1].start - timed[i].cueEnd;
+  }
+  return timed;
+}
+
+function endsSentence(word) {
+  return SENTENCE_END.test(word) && !ABBREVIATIONS.has(word.toLowerCase());
+}
+
+// "so i think it's fine" -> "So I think it's fine."
+function punctuate(text) {
+  const fixed = text.replace(/\bi(?=$|\s|'(?:m|ll|d|ve)\b)/g, 'I');
+  const capitalized = fixed.charAt(0).toUpperCase() + fixed.slice(1);
+  return SENTENCE_END.test(capitalized) ? capitalized : `${capitalized.replace(/[,;:]$/, '')}.`;
+}
+
+// Sentences as { start, end, text, pauseBefore }
+export function buildSentences(segments) {
+  const timed = timedWords(segments);
+  const sentenceEnds = timed.filter(w => endsSentence(w.word)).length;
+  const punctuated = sentenceEnds > 0 && timed.length / sentenceEnds <= PUNCTUATED_WORDS_PER_SENTENCE;
+
+  const sentences = [];
+  let current = [];
+  let pauseBefore = 0;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    const text = current.map(w => w.word).join(' ');
+    const last = current[current.length - 1];
+    sentences.push({
+      start: current[0].start,
+      end: last.cueEnd ?? last.end,
+      text: punctuated ? text : punctuate(text),
+      pauseBefore
+    });
+    pauseBefore = Math.max(0, last.pauseAfter ?? 0);
+    current = [];
+  };
+
+  for (const word of timed) {
+    current.push(word);
+    const atCueEnd = word.cueEnd !== null;
+    const ends = punctuated
+      ? endsSentence(word.word)
+      : atCueEnd && ((word.pauseAfter ?? 0) >= SENTENCE_PAUSE_SECONDS || current.length >= SOFT_SENTENCE_WORDS);
+    if (ends || current.length >= MAX_SENTENCE_WORDS) flush();
+  }
+  flush();
+  return sentences;
+}
+
+// Paragraph segments for `segments` (already parsed cues, times in seconds)
+export function buildParagraphs(segments) {
+  const sentences = buildSentences(dedupeSegments(segments));
+  const paragraphs = [];
+  let current = [];
+  let wordCount = 0;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    const start = current[0].start;
+    const end = current[current.length - 1].end;
+    paragraphs.push({
+      start,
+      duration: Math.max(0, end - start),
+      text: current.map(s => s.text).join(' '),
+      sentences: current.length
+    });
+    current = [];
+    wordCount = 0;
+  };
+
+  for (const sentence of sentences) {
+    const count = words(sentence.text).length;
+    if (current.length > 0 && (sentence.pauseBefore >= PARAGRAPH_PAUSE_SECONDS || wordCount + count > MAX_PARAGRAPH_WORDS)) {
+      flush();
+    }
+    current.push(sentence);
+    wordCount += count;
+  }
+  flush();
+  return paragraphs;
+}
@@ -0,0 +1,160 @@
+// lib/playlist.js
+// Resolve a playlist or channel (see parseListSource in lib/youtube-url.js) into video IDs.
+// Uses the YouTube Data API when the caller has a key, Innertube browse otherwise.
+// Channels resolve to their uploads playlist, i.e. the latest uploads first.
+
+import { callInnertube } from './innertube.js';
+
+const DATA_API_URL = 'https://www.googleapis.com/youtube/v3';
+
+function notFound(message) {
+  return Object.assign(new Error(message), { status: 404 });
+}
+
+// A channel's uploads playlist shares its ID after the UC/UU prefix
+function uploadsPlaylistId(channelId) {
+  return `UU${channelId.slice(2)}`;
+}
+
+// ============================================
+// YouTube Data API
+// ============================================
+async function dataApi(resource, params, apiKey) {
+  const query = new URLSearchParams({ ...params, key: apiKey });
+  const response = await fetch(`${DATA_API_URL}/${resource}?${query}`);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw Object.assign(new Error(`YouTube API error: ${data.error?.message || response.status}`), {
+      status: response.status === 404 ? 404 : 502
+    });
+  }
+  return data;
+}
+
+async function resolveChannelWithDataApi(source, apiKey) {
+  const lookup = source.channelId ? { id: source.channelId }
+    : source.handle ? { forHandle: source.handle }
+    : source.path?.startsWith('/user/') ? { forUsername: source.path.slice('/user/'.length) }
+    : null;
+  if (!lookup) return null;
+
+  const data = await dataApi('channels', { part: 'contentDetails,snippet', ...lookup }, apiKey);
+  const channel = data.items?.[0];
+  if (!channel) throw notFound(`Channel not found: ${source.channelId || source.handle || source.path}`);
+
+  return {
+    playlistId: channel.contentDetails?.relatedPlaylists?.uploads || uploadsPlaylistId(channel.id),
+    title: channel.snippet?.title || null,
+    channelId: channel.id
+  };
+}
+
+async function listPlaylistWithDataApi(playlistId, maxVideos, apiKey) {
+  const videoIds = [];
+  let title = null;
+  let pageToken;
+
+  try {
+    const meta = await dataApi('playlists', { part: 'snippet', id: playlistId }, apiKey);
+    title = meta.items?.[0]?.snippet?.title || null;
+  } catch (e) {
+    // Title is cosmetic
+  }
+
+  do {
+    const data = await dataApi('playlistItems', {
+      part: 'contentDetails',
+      playlistId,
+      maxResults: String(Math.min(50, maxVideos - videoIds.length)),
+      ...(pageToken ? { pageToken } : {})
+    }, apiKey);
+    for (const item of data.items || []) {
+      if (item.contentDetails?.videoId) videoIds.push(item.contentDetails.videoId);
+    }
+    pageToken = data.nextPageToken;
+  } while (pageToken && videoIds.length < maxVideos);
+
+  return { videoIds: videoIds.slice(0, maxVideos), title };
+}
+
+// ============================================
+// Innertube
+// ============================================
+
+// Depth-first walk collecting playlist entries and the continuation token
+function collectBrowseItems(node, found) {
+  if (Array.isArray(node)) {
+    for (const child of node) collectBrowseItems(child, found);
+    return found;
+  }
+  if (!node || typeof node !== 'object') return found;
+
+  if (node.playlistVideoRenderer?.videoId) {
+    found.videoIds.push(node.playlistVideoRenderer.videoId);
+  }
+  if (node.continuationCommand?.token) {
+    found.continuation = node.continuationCommand.token;
+  }
+  for (const value of Object.values(node)) {
+    if (value && typeof value === 'object') collectBrowseItems(value, found);
+  }
+  return found;
+}
+
+async function resolveChannelWithInnertube(source) {
+  if (source.channelId) return { playlistId: uploadsPlaylistId(source.channelId), title: null, channelId: source.channelId };
+
+  const path = source.handle ? `/${source.handle}` : source.path;
+  const data = await callInnertube('navigation/resolve_url', { url: `https://www.youtube.com${path}` });
+  const channelId = data?.endpoint?.browseEndpoint?.browseId;
+  if (!channelId || !channelId.startsWith('UC')) {
+    throw notFound(`Channel not found: ${source.handle || source.path}`);
+  }
+  return { playlistId: uploadsPlaylistId(channelId), title: null, channelId };
+}
+
+async function listPlaylistWithInnertube(playlistId, maxVideos) {
+  const first = await callInnertube('browse', { browseId: `VL${playlistId}` });
+  const title = first?.metadata?.playlistMetadataRenderer?.title || null;
+  let page = collectBrowseItems(first, { videoIds: [], continuation: null });
+  const videoIds = [...page.videoIds];
+
+  while (page.continuation && videoIds.length < maxVideos) {
+    const next = await callInnertube('browse', { continuation: page.continuation });
+    page = collectBrowseItems(next, { videoIds: [], continuation: null });
+    if (page.videoIds.length === 0) break;
+    videoIds.push(...page.videoIds);
+  }
+
+  return { videoIds: [...new Set(videoIds)].slice(0, maxVideos), title };
+}
+
+// ============================================
+// PUBLIC
+// ============================================
+
+// Resolves to { type, id, title, videoIds } for a parsed playlist/channel source
+export async function resolveVideoList(source, { maxVideos, apiKey } = {}) {
+  let playlistId = source.playlistId;
+  let title = null;
+  let id = source.playlistId;
+
+  if (source.type === 'channel') {
+    const channel = (apiKey && await resolveChannelWithDataApi(source, apiKey)) ||
+                    await resolveChannelWithInnertube(source);
+    playlistId = channel.playlistId;
+    title = channel.title;
+    id = channel.channelId;
+  }
+
+  console.log(`📋 Listing ${source.type} ${id} via ${apiKey ? 'YouTube Data API' : 'Innertube'} (max ${maxVideos})`);
+  const list = apiKey
+    ? await listPlaylistWithDataApi(playlistId, maxVideos, apiKey)
+    : await listPlaylistWithInnertube(playlistId, maxVideos);
+
+  if (list.videoIds.length === 0) {
+    throw notFound(`No videos found for ${source.type} ${id}`);
+  }
+
+  return { type: source.type, id, title: title || list.title, videoIds: list.videoIds };
+}
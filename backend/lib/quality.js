@@ -0,0 +1,140 @@
+// lib/quality.js
+// Quality assessment for an extracted transcript, computed from the captions themselves
+// rather than from which extraction method won:
+//   - track kind: manual captions vs auto-generated (ASR) vs machine-translated
+//   - coverage: share of the video's duration covered by caption timestamps
+//   - gaps: stretches without captions (including before the first and after the last cue)
+//   - language: whether the transcript is in the requested language
+//   - non-speech: cues that are only tags such as [Music], [Applause] or ♪
+// `score` (0-1) combines these; `issues` lists stable codes a pipeline can filter on.
+
+import { NON_SPEECH_TAG } from './clean.js';
+import { languageCode } from './languages.js';
+
+// A silence shorter than this is normal speech rhythm, not a gap
+const GAP_SECONDS = 10;
+
+// Thresholds for the `issues` codes
+const LOW_COVERAGE_RATIO = 0.6;
+const LONG_GAP_SECONDS = 60;
+const LONG_GAP_RATIO = 0.2;
+const NON_SPEECH_RATIO = 0.3;
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+function isNonSpeech(text) {
+  const value = String(text);
+  return Boolean(value.match(NON_SPEECH_TAG)) && !value.replace(NON_SPEECH_TAG, '').replace(/[\s.,!?-]+/g, '');
+}
+
+// Merged [start, end] intervals of the cues, clipped to the video when its length is known
+function captionIntervals(segments, videoSeconds) {
+  const intervals = segments
+    .map(s => [s.start, s.start + Math.max(0, s.duration)])
+    .map(([start, end]) => videoSeconds ? [Math.min(start, videoSeconds), Math.min(end, videoSeconds)] : [start, end])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const [start, end] of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+function findGaps(intervals, videoSeconds) {
+  const gaps = [];
+  let cursor = 0;
+  for (const [start, end] of intervals) {
+    if (start - cursor >= GAP_SECONDS) gaps.push({ start: round(cursor), end: round(start) });
+    cursor = Math.max(cursor, end);
+  }
+  if (videoSeconds && videoSeconds - cursor >= GAP_SECONDS) {
+    gaps.push({ start: round(cursor), end: round(videoSeconds) });
+  }
+  return gaps;
+}
+
+// Assess one transcript. `videoDuration` is in seconds; `trackKind` is 'manual' | 'asr', or null
+// when the method cannot tell; `detectedLanguage` is the language the source reported (null when
+// the method only echoes the request); the language is only judged when `requestedLanguage` is
+// set. Returns { score, level, trackKind, autoGenerated,
+// translated, coverage, gaps, language, nonSpeech, issues }.
+export function assessQuality({
+  segments = [],
+  videoDuration = null,
+  trackKind = null,
+  translated = false,
+  requestedLanguage = null,
+  detectedLanguage = null
+} = {}) {
+  const videoSeconds = Number(videoDuration) > 0 ? Number(videoDuration) : null;
+  const intervals = captionIntervals(segments, videoSeconds);
+  const captionedSeconds = intervals.reduce((sum, [start, end]) => sum + end - start, 0);
+  const coverageRatio = videoSeconds ? Math.min(1, captionedSeconds / videoSeconds) : null;
+
+  const gaps = findGaps(intervals, videoSeconds);
+  const longestGap = gaps.reduce((max, g) => Math.max(max, g.end - g.start), 0);
+  const gapSeconds = gaps.reduce((sum, g) => sum + g.end - g.start, 0);
+
+  const requested = languageCode(requestedLanguage);
+  const detected = languageCode(detectedLanguage);
+  const languageMatch = requested && detected ? requested === detected : null;
+
+  const nonSpeechSegments = segments.filter(s => isNonSpeech(s.text)).length;
+  const nonSpeechRatio = segments.length ? nonSpeechSegments / segments.length : 0;
+  const nonSpeechTags = segments.reduce((sum, s) => sum + (String(s.text).match(NON_SPEECH_TAG) || []).length, 0);
+
+  const issues = [];
+  if (segments.length === 0) issues.push('empty');
+  if (trackKind === 'asr') issues.push('auto_generated');
+  if (translated) issues.push('machine_translated');
+  if (coverageRatio !== null && coverageRatio < LOW_COVERAGE_RATIO) issues.push('low_coverage');
+  if (longestGap >= LONG_GAP_SECONDS || (videoSeconds && longestGap / videoSeconds >= LONG_GAP_RATIO)) {
+    issues.push('long_gaps');
+  }
+  if (languageMatch === false) issues.push('language_mismatch');
+  if (nonSpeechRatio >= NON_SPEECH_RATIO) issues.push('mostly_non_speech');
+
+  // Multiplicative penalties: each problem lowers the score independently of the others
+  let score = segments.length ? 1 : 0;
+  score *= trackKind === 'manual' ? 1 : trackKind === 'asr' ? 0.85 : 0.9;
+  if (translated) score *= 0.85;
+  if (coverageRatio !== null) score *= 0.5 + 0.5 * Math.min(1, coverageRatio / 0.8);
+  if (videoSeconds) score *= 1 - Math.min(0.2, longestGap / videoSeconds);
+  if (languageMatch === false) score *= 0.5;
+  score *= 1 - 0.5 * nonSpeechRatio;
+  score = round(score);
+
+  return {
+    score,
+    level: score >= 0.8 ? 'high' : score >= 0.6 ? 'medium' : 'low',
+    trackKind,
+    autoGenerated: trackKind ? trackKind === 'asr' : null,
+    translated: Boolean(translated),
+    coverage: {
+      captionedSeconds: round(captionedSeconds, 1),
+      videoSeconds,
+      ratio: coverageRatio === null ? null : round(coverageRatio, 3)
+    },
+    gaps: {
+      thresholdSeconds: GAP_SECONDS,
+      count: gaps.length,
+      longestSeconds: round(longestGap, 1),
+      totalSeconds: round(gapSeconds, 1)
+    },
+    language: {
+      requested: requestedLanguage || null,
+      detected: detectedLanguage || null,
+      match: languageMatch
+    },
+    nonSpeech: {
+      tags: nonSpeechTags,
+      segments: nonSpeechSegments,
+      ratio: round(nonSpeechRatio, 3)
+    },
+    issues
+  };
+}
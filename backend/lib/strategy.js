@@ -0,0 +1,143 @@
+// lib/strategy.js
+// Extraction strategy: which methods run, in what order, sequentially or as a race,
+// and how long each may take before it is aborted
+//
+//   EXTRACTION_METHODS      default method order, comma separated
+//   EXTRACTION_MODE         "sequential" (default) or "race"
+//   EXTRACTION_TIMEOUT_MS   default per-method timeout (default 20000, 0 disables)
+
+const MODES = ['sequential', 'race'];
+const DEFAULT_TIMEOUT_MS = 20000;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Method names from a comma-separated string or an array, de-duplicated in order; null when empty.
+// Throws an Error with `status` 400 on an unknown method.
+export function parseMethodList(value, knownMethods) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(m => String(m).trim())
+    .filter(Boolean);
+
+  const unknown = list.filter(m => !knownMethods.includes(m));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown extraction method(s): ${unknown.join(', ')}. Known: ${knownMethods.join(', ')}`);
+  }
+  return list.length > 0 ? [...new Set(list)] : null;
+}
+
+function parseTimeout(value, label) {
+  const ms = Number(value);
+  if (!Number.isFinite(ms) || ms < 0) {
+    throw badRequest(`Invalid timeout for ${label}: ${value}`);
+  }
+  return ms;
+}
+
+// Merge request options over env defaults; throws an Error with `status` 400 on bad input.
+// `timeoutMs` may be a number (all methods) or an object keyed by method name.
+export function resolveStrategy({ methods, mode, timeoutMs } = {}, knownMethods) {
+  const resolvedMode = String(mode || process.env.EXTRACTION_MODE || 'sequential').toLowerCase();
+  if (!MODES.includes(resolvedMode)) {
+    throw badRequest(`Invalid mode: ${mode}. Use one of: ${MODES.join(', ')}`);
+  }
+
+  const envTimeout = process.env.EXTRACTION_TIMEOUT_MS;
+  let defaultTimeoutMs = envTimeout !== undefined && envTimeout !== ''
+    ? parseTimeout(envTimeout, 'EXTRACTION_TIMEOUT_MS')
+    : DEFAULT_TIMEOUT_MS;
+  const perMethod = {};
+
+  if (timeoutMs !== undefined && timeoutMs !== null && typeof timeoutMs === 'object') {
+    for (const [method, ms] of Object.entries(timeoutMs)) {
+      if (!knownMethods.includes(method)) throw badRequest(`Unknown extraction method in timeoutMs: ${method}`);
+      perMethod[method] = parseTimeout(ms, method);
+    }
+  } else if (timeoutMs !== undefined && timeoutMs !== null && timeoutMs !== '') {
+    defaultTimeoutMs = parseTimeout(timeoutMs, 'timeoutMs');
+  }
+
+  return {
+    methods: parseMethodList(methods, knownMethods) || parseMethodList(process.env.EXTRACTION_METHODS, knownMethods),
+    mode: resolvedMode,
+    defaultTimeoutMs,
+    perMethod
+  };
+}
+
+function abortError(message, category) {
+  return Object.assign(new Error(message), { category });
+}
+
+// Run one method under its own AbortController. The method receives `signal` in its context;
+// methods that cannot be cancelled are simply abandoned when the signal fires.
+// `step.blocked()`, when given, is asked right before the method would start (e.g. a circuit breaker
+// handing out its one trial run); a { details, category } answer records a skip instead.
+// Resolves to the method's result, or null after recording the failure on the trace.
+async function runStep(trace, step, context, parentSignal) {
+  const blocked = step.blocked?.();
+  if (blocked) {
+    trace.skip(step.name, blocked.details, blocked.category);
+    return null;
+  }
+
+  const attempt = trace.begin(step.name);
+  const controller = new AbortController();
+
+  const abortFromParent = () => controller.abort(parentSignal.reason);
+  if (parentSignal?.aborted) abortFromParent();
+  parentSignal?.addEventListener('abort', abortFromParent, { once: true });
+
+  const timer = step.timeoutMs > 0
+    ? setTimeout(() => controller.abort(abortError(`Timed out after ${step.timeoutMs}ms`, 'timeout')), step.timeoutMs)
+    : null;
+
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  try {
+    const result = await Promise.race([step.run({ ...context, signal: controller.signal }), aborted]);
+    attempt.succeed(`${result.transcript.length} chars extracted`);
+    return result;
+  } catch (error) {
+    attempt.fail(error);
+    return null;
+  } finally {
+    if (timer) clearTimeout(timer);
+    parentSignal?.removeEventListener('abort', abortFromParent);
+  }
+}
+
+// Try steps one after another; first valid result wins
+export async function runSequential(trace, steps, context) {
+  for (const step of steps) {
+    const result = await runStep(trace, step, context);
+    if (result) return result;
+  }
+  return null;
+}
+
+// Fire all steps at once; the first valid result wins and the others are aborted
+export async function runRace(trace, steps, context) {
+  if (steps.length === 0) return null;
+
+  const controller = new AbortController();
+  const runs = steps.map(step => runStep(trace, step, context, controller.signal).then(result => {
+    if (!result) throw new Error(`${step.name} failed`);
+    return result;
+  }));
+
+  try {
+    return await Promise.any(runs);
+  } catch {
+    return null;
+  } finally {
+    controller.abort(abortError('Cancelled: another method won the race', 'cancelled'));
+    // Let the losers record their cancellation before the trace is returned
+    await Promise.allSettled(runs);
+  }
+}
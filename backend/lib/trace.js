@@ -0,0 +1,103 @@
+// lib/trace.js
+// Request-scoped extraction tracing: every request gets its own attempt log and request ID,
+// so concurrent requests in a warm instance never see each other's attempts
+
+import crypto from 'crypto';
+import { ERROR_CODES } from './youtube-errors.js';
+
+// Ordered: the first matching pattern wins
+const ERROR_CATEGORIES = [
+  ['timeout', /timed? ?out|timeout|aborted/i],
+  ['rate_limited', /\b429\b|too many requests|rate.?limit/i],
+  ['blocked', /\b403\b|sign in|confirm you.re not a bot|captcha|consent|blocked/i],
+  ['network', /ENOTFOUND|ECONNRESET|ECONNREFUSED|EAI_AGAIN|fetch failed|network|socket/i],
+  ['config', /api key|OPENAI_API_KEY|not configured|not enabled|ffmpeg not found/i],
+  ['no_translation', /translatable|cannot translate/i],
+  ['no_captions', /no caption|no transcript|captions? (are |is )?disabled|transcript.*not available|no .*tracks/i],
+  ['not_found', /not found|\b404\b|unavailable|no longer available|been removed/i],
+  ['insufficient_content', /too short|insufficient content|empty transcript/i],
+  ['parse', /parse|could not find player response|unexpected token|json/i]
+];
+
+// Coarse category for a failed attempt, used for debugging and dashboards
+export function categorizeError(message) {
+  const text = String(message || '');
+  for (const [category, pattern] of ERROR_CATEGORIES) {
+    if (pattern.test(text)) return category;
+  }
+  return 'unknown';
+}
+
+// Honour a caller-supplied X-Request-Id when it looks sane, otherwise mint one
+export function resolveRequestId(req) {
+  const incoming = req?.headers?.['x-request-id'];
+  if (typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming)) {
+    return incoming;
+  }
+  return crypto.randomUUID();
+}
+
+// `onAttempt(attempt)` is called for every recorded attempt (e.g. to feed method health stats)
+export function createTrace(requestId = crypto.randomUUID(), { onAttempt } = {}) {
+  const attempts = [];
+  const startedAt = Date.now();
+
+  function record(method, success, details, started, extra = {}) {
+    const attempt = {
+      method,
+      success,
+      details,
+      ...extra,
+      durationMs: Date.now() - started,
+      timestamp: new Date().toISOString()
+    };
+    attempts.push(attempt);
+    console.log(`[${requestId}] ${success ? '✅' : '❌'} ${method}: ${details}`);
+    onAttempt?.(attempt);
+  }
+
+  return {
+    requestId,
+    attempts,
+
+    // Start timing one method; only the first succeed(details)/fail(error) call is recorded
+    begin(method) {
+      const started = Date.now();
+      let settled = false;
+      return {
+        succeed(details) {
+          if (settled) return;
+          settled = true;
+          record(method, true, details, started);
+        },
+        fail(error) {
+          if (settled) return;
+          settled = true;
+          const message = error?.message || String(error);
+          record(method, false, message, started, {
+            category: error?.category || categorizeError(message),
+            // Stable error code (see lib/youtube-errors.js) when the method could tell why it failed
+            ...(ERROR_CODES[error?.code] ? { code: error.code } : {})
+          });
+        }
+      };
+    },
+
+    // Record a method that was not run at all (e.g. its circuit breaker is open)
+    skip(method, details, category) {
+      record(method, false, details, Date.now(), { category, skipped: true });
+    },
+
+    // One-line summary of the failures so far
+    summarizeFailures() {
+      return attempts
+        .filter(a => !a.success)
+        .map(a => `${a.method}: ${a.details}`)
+        .join('; ');
+    },
+
+    elapsedMs() {
+      return Date.now() - startedAt;
+    }
+  };
+}
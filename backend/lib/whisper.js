@@ -0,0 +1,298 @@
+// lib/whisper.js
+// Audio transcription pipeline: ytdl audio download + Whisper (OpenAI or an OpenAI-compatible server)
+// Shared by the Express /transcript route and the /api/transcript fallback
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { pipeline } from "stream/promises";
+import ytdl from "@distube/ytdl-core";
+import { resolveAsrProvider } from "./asr.js";
+import { languageCode } from "./languages.js";
+import { FFMPEG_HINT, splitAudio } from "./audio-chunks.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { watchUrl } from "./youtube-url.js";
+import { YouTubeError, codeFromReason } from "./youtube-errors.js";
+
+// OpenAI rejects uploads over 25 MB; keep a margin for multipart overhead
+const DEFAULT_MAX_UPLOAD_BYTES = 24 * 1024 * 1024;
+const DEFAULT_CHUNK_SECONDS = 600;
+const DEFAULT_CONCURRENCY = 2;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Error carrying the HTTP status and hint the routes should respond with
+export class TranscriptionError extends Error {
+  constructor(message, { status = 500, hint } = {}) {
+    super(message);
+    this.name = "TranscriptionError";
+    this.status = status;
+    if (hint) this.hint = hint;
+  }
+}
+
+export function guessExt(fmt) {
+  const c = (fmt?.container || "").toLowerCase();
+  if (c) return c;
+  const mt = (fmt?.mimeType || "").toLowerCase();
+  if (mt.includes("webm") || mt.includes("opus")) return "webm";
+  if (mt.includes("mp4") || mt.includes("m4a") || mt.includes("aac")) return "m4a";
+  if (mt.includes("mpeg")) return "mp3";
+  if (mt.includes("ogg")) return "ogg";
+  return "webm";
+}
+
+// `onAttempt({ client, ok, error? })` is called after each client is tried; `signal` aborts the
+// in-flight request and stops trying further clients
+export async function getInfoRobust(url, headers, onAttempt = () => {}, signal) {
+  const clients = (process.env.YTDL_CLIENTS || "ANDROID,IOS,WEB")
+    .split(",")
+    .map(s => s.trim().toUpperCase());
+  let lastErr;
+  for (const client of clients) {
+    signal?.throwIfAborted();
+    try {
+      ytdl.setDefaultClient?.(client);
+      const info = await ytdl.getInfo(url, { requestOptions: { headers, signal } });
+      onAttempt({ client, ok: true });
+      return info;
+    } catch (e) {
+      signal?.throwIfAborted();
+      lastErr = e;
+      onAttempt({ client, ok: false, error: e?.message || String(e) });
+    }
+  }
+  throw lastErr || new Error("getInfo failed");
+}
+
+// Browser-like headers (+ cookies/token if provided)
+export function buildYouTubeHeaders(videoId) {
+  const cookieHeader = process.env.YTDL_COOKIE || "";
+  const idToken = process.env.YTDL_ID_TOKEN || "";
+  const userAgent =
+    process.env.YTDL_UA ||
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36";
+
+  return {
+    "user-agent": userAgent,
+    "accept-language": "en-US,en;q=0.9",
+    referer: `https://www.youtube.com/watch?v=${videoId}`,
+    origin: "https://www.youtube.com",
+    ...(cookieHeader ? { cookie: cookieHeader } : {}),
+    ...(idToken ? { "x-youtube-identity-token": idToken } : {}),
+  };
+}
+
+// Whisper verbose_json segments -> shared { start, duration, text } segments (seconds)
+export function toSegments(whisperSegments = []) {
+  return whisperSegments.map(s => ({
+    start: s.start,
+    duration: Math.max(0, s.end - s.start),
+    text: String(s.text || "").trim(),
+  }));
+}
+
+async function transcribeFile(asr, filePath, lang, signal) {
+  try {
+    return await asr.client.audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model: asr.model,
+      response_format: "verbose_json",
+      language: lang || undefined,
+    }, { signal });
+  } catch (e) {
+    signal?.throwIfAborted();
+    throw new TranscriptionError(e?.message || "Transcription failed", { status: 500 });
+  }
+}
+
+// { language, detectedLanguage } of a result; Whisper reports languages by name ("english")
+function transcriptLanguage(lang, reported) {
+  const detected = languageCode(reported);
+  return {
+    language: languageCode(lang) || detected,
+    detectedLanguage: lang ? null : detected,
+  };
+}
+
+// Pick a chunk length that keeps every chunk under the upload limit at the file's average bitrate
+function chooseChunkSeconds(fileBytes, durationSeconds, maxBytes, maxChunkSeconds) {
+  if (!durationSeconds) return maxChunkSeconds;
+  const bytesPerSecond = fileBytes / durationSeconds;
+  const fitting = Math.floor((maxBytes / bytesPerSecond) * 0.9);
+  return Math.max(30, Math.min(maxChunkSeconds, fitting));
+}
+
+// Transcribe an audio file too large for one upload: split, transcribe chunks with a
+// concurrency cap, then shift each chunk's segments by the chunk's start time
+async function transcribeInChunks(asr, filePath, tmpDir, { lang, chunkSeconds, concurrency, signal, onProgress }) {
+  const chunkDir = fs.mkdtempSync(path.join(tmpDir, "chunks-"));
+
+  onProgress({ phase: "splitting", percent: 0 });
+
+  let chunks;
+  try {
+    chunks = await splitAudio(filePath, chunkDir, chunkSeconds);
+  } catch (e) {
+    throw new TranscriptionError(`Audio split failed: ${e?.message || e}`, {
+      status: 500,
+      hint: FFMPEG_HINT,
+    });
+  }
+
+  console.log(`✂️ Split audio into ${chunks.length} chunk(s) of ~${chunkSeconds}s, concurrency ${concurrency}`);
+
+  let done = 0;
+  onProgress({ phase: "transcribing", percent: 0, chunks: chunks.length, chunksDone: 0 });
+  const results = await mapWithConcurrency(chunks, concurrency, async chunk => {
+    signal?.throwIfAborted();
+    const tr = await transcribeFile(asr, chunk.path, lang, signal);
+    done++;
+    onProgress({ phase: "transcribing", percent: Math.round((done / chunks.length) * 100), chunks: chunks.length, chunksDone: done });
+    return tr;
+  });
+
+  const segments = [];
+  results.forEach((tr, index) => {
+    for (const segment of toSegments(tr.segments)) {
+      segments.push({ ...segment, start: segment.start + chunks[index].start });
+    }
+  });
+
+  const last = chunks[chunks.length - 1];
+  return {
+    text: results.map(tr => String(tr.text || "").trim()).filter(Boolean).join(" "),
+    segments,
+    language: results.find(tr => tr.language)?.language,
+    duration: last ? last.end : null,
+    chunks: chunks.length,
+  };
+}
+
+// Pick the ASR provider/model for a request (see lib/asr.js); throws TranscriptionError
+export function getAsrProvider({ asrProvider, asrModel } = {}) {
+  try {
+    return resolveAsrProvider({ provider: asrProvider, model: asrModel });
+  } catch (e) {
+    throw new TranscriptionError(e.message, { status: e.status || 400 });
+  }
+}
+
+// Download the best audio-only stream of a video and transcribe it with Whisper.
+// Audio over the upload limit is transcribed in time-bounded chunks (needs ffmpeg, see lib/audio-chunks.js).
+// `signal` aborts the download/upload; `onProgress({ phase, percent, ... })` reports each phase.
+// `lang` forces the transcription language; without it Whisper detects the language.
+// Resolves to { text, segments, language, detectedLanguage, duration, videoTitle, chunks, asrProvider,
+// model }: `language` is the ISO code of the transcript, `detectedLanguage` the one Whisper detected
+// (null when `lang` forced it, since Whisper then only echoes it back).
+// Throws TranscriptionError (or YouTubeError when YouTube refuses the video).
+export async function transcribeYouTubeAudio(videoId, {
+  lang = "",
+  asrProvider,
+  asrModel,
+  signal,
+  onProgress = () => {},
+  chunkSeconds = envNumber("WHISPER_CHUNK_SECONDS", DEFAULT_CHUNK_SECONDS),
+  concurrency = envNumber("WHISPER_CONCURRENCY", DEFAULT_CONCURRENCY),
+  maxUploadBytes = envNumber("WHISPER_MAX_UPLOAD_BYTES", DEFAULT_MAX_UPLOAD_BYTES),
+} = {}) {
+  const asr = getAsrProvider({ asrProvider, asrModel });
+
+  const videoUrl = watchUrl(videoId);
+  if (!ytdl.validateURL(videoUrl)) {
+    throw new TranscriptionError("Invalid or unsupported YouTube URL", { status: 400 });
+  }
+
+  const headers = buildYouTubeHeaders(videoId);
+
+  onProgress({ phase: "info", percent: 0 });
+
+  let info;
+  try {
+    info = await getInfoRobust(videoUrl, headers, attempt => onProgress({ phase: "info", ...attempt }), signal);
+  } catch (e) {
+    signal?.throwIfAborted();
+    const msg = e?.message || String(e);
+    // Private, age-restricted, members-only, ... videos will never download; say so with a stable code
+    const code = codeFromReason(msg);
+    if (code) throw new YouTubeError(code, `ytdl getInfo failed: ${msg}`);
+    throw new TranscriptionError(`ytdl getInfo failed: ${msg}`, {
+      status: 502,
+      hint: process.env.YTDL_COOKIE
+        ? "Cookies may be stale or missing CONSENT/VISITOR_INFO1_LIVE/PREF/YSC. Refresh and redeploy."
+        : "Add YTDL_COOKIE env (single-line) and redeploy.",
+    });
+  }
+
+  const fmt = ytdl.chooseFormat(info.formats, { quality: "highestaudio", filter: "audioonly" });
+  if (!fmt || (!fmt.url && !fmt.signatureCipher)) {
+    throw new TranscriptionError("No suitable audio format found from YouTube.", { status: 502 });
+  }
+
+  signal?.throwIfAborted();
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "yta-"));
+  const filePath = path.join(tmpDir, `audio.${guessExt(fmt)}`);
+
+  try {
+    try {
+      const readStream = ytdl.downloadFromInfo(info, {
+        format: fmt,
+        requestOptions: { headers },
+        highWaterMark: 1 << 26, // 64MB buffer
+      });
+      onProgress({ phase: "downloading", percent: 0, downloadedBytes: 0, totalBytes: null });
+      readStream.on("progress", (_chunkLength, downloaded, total) => {
+        onProgress({
+          phase: "downloading",
+          percent: total ? Math.round((downloaded / total) * 100) : null,
+          downloadedBytes: downloaded,
+          totalBytes: total || null,
+        });
+      });
+      await pipeline(readStream, fs.createWriteStream(filePath), { signal });
+    } catch (e) {
+      signal?.throwIfAborted();
+      throw new TranscriptionError(`Audio download failed: ${e?.message || e}`, { status: 502 });
+    }
+
+    const videoTitle = info.videoDetails?.title || null;
+    const asrInfo = { asrProvider: asr.name, model: asr.model };
+    const fileBytes = fs.statSync(filePath).size;
+
+    if (fileBytes > maxUploadBytes) {
+      const durationSeconds = Number(info.videoDetails?.lengthSeconds) || 0;
+      const seconds = chooseChunkSeconds(fileBytes, durationSeconds, maxUploadBytes, chunkSeconds);
+      const tr = await transcribeInChunks(asr, filePath, tmpDir, {
+        lang,
+        chunkSeconds: seconds,
+        concurrency,
+        signal,
+        onProgress,
+      });
+      return { ...tr, ...transcriptLanguage(lang, tr.language), videoTitle, ...asrInfo };
+    }
+
+    // verbose_json gives timed segments, which the shared formatters turn into any subtitle format
+    // One request covers upload and transcription; the phases still match the chunked path
+    onProgress({ phase: "uploading", totalBytes: fileBytes, chunks: 1 });
+    onProgress({ phase: "transcribing", percent: 0, chunks: 1, chunksDone: 0 });
+    const tr = await transcribeFile(asr, filePath, lang, signal);
+    onProgress({ phase: "transcribing", percent: 100, chunks: 1, chunksDone: 1 });
+
+    return {
+      text: String(tr.text || "").trim(),
+      segments: toSegments(tr.segments),
+      ...transcriptLanguage(lang, tr.language),
+      duration: tr.duration ?? null,
+      videoTitle,
+      chunks: 1,
+      ...asrInfo,
+    };
+  } finally {
+    try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch {}
+  }
+}
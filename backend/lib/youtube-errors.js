@@ -0,0 +1,211 @@
+// lib/youtube-errors.js
+// Stable error codes for transcript failures, so clients can tell "retry later" from
+// "this will never work". Codes come from the player response's playabilityStatus when
+// we have one, otherwise from how the extraction methods failed.
+
+export const ERROR_CODES = {
+  VIDEO_PRIVATE: {
+    status: 403,
+    retryable: false,
+    category: 'unplayable',
+    hint: 'The video is private; only its owner can access the captions'
+  },
+  VIDEO_UNAVAILABLE: {
+    status: 404,
+    retryable: false,
+    category: 'not_found',
+    hint: 'The video does not exist, was removed or is blocked in the server region'
+  },
+  AGE_RESTRICTED: {
+    status: 403,
+    retryable: false,
+    category: 'unplayable',
+    hint: 'Age-restricted videos require a signed-in session (set YTDL_COOKIE for the Whisper fallback)'
+  },
+  MEMBERS_ONLY: {
+    status: 403,
+    retryable: false,
+    category: 'unplayable',
+    hint: 'The video is only available to channel members'
+  },
+  LIVE_IN_PROGRESS: {
+    status: 409,
+    retryable: true,
+    category: 'unplayable',
+    hint: 'Live streams and upcoming premieres have no transcript yet; retry after the broadcast ends'
+  },
+  NO_CAPTIONS: {
+    status: 404,
+    retryable: false,
+    category: 'no_captions',
+    hint: 'The video has no captions; set whisperFallback: true to transcribe the audio'
+  },
+  // Whisper cannot help here: it never runs when translateTo is set
+  TRANSLATION_UNAVAILABLE: {
+    status: 422,
+    retryable: false,
+    category: 'no_translation',
+    hint: 'YouTube cannot translate this video\'s captions into that language; pick one of translationLanguages from /api/tracks or drop translateTo'
+  },
+  BLOCKED_BY_YOUTUBE: {
+    status: 503,
+    retryable: true,
+    category: 'blocked',
+    hint: 'YouTube is refusing requests from this server; retry later or provide a YouTube API key'
+  },
+  RATE_LIMITED: {
+    status: 429,
+    retryable: true,
+    category: 'rate_limited',
+    hint: 'YouTube is rate limiting this server; retry later'
+  },
+  // Anything we could not attribute to the video or to YouTube
+  EXTRACTION_FAILED: {
+    status: 500,
+    retryable: true,
+    category: 'unknown'
+  }
+};
+
+export class YouTubeError extends Error {
+  constructor(code, message, { hint, reason } = {}) {
+    const spec = ERROR_CODES[code] || ERROR_CODES.EXTRACTION_FAILED;
+    super(message || reason || code);
+    this.name = 'YouTubeError';
+    this.code = ERROR_CODES[code] ? code : 'EXTRACTION_FAILED';
+    this.status = spec.status;
+    this.retryable = spec.retryable;
+    // Read by trace.fail so the attempt gets a matching category
+    this.category = spec.category;
+    if (hint || spec.hint) this.hint = hint || spec.hint;
+    if (reason) this.reason = reason;
+  }
+}
+
+// Ordered: the first matching pattern wins. Matches YouTube's own reason strings
+// ("This video is private", "Sign in to confirm your age", ...) and ytdl/library messages.
+const REASON_CODES = [
+  ['BLOCKED_BY_YOUTUBE', /not a bot|unusual traffic|captcha|automated queries/i],
+  ['RATE_LIMITED', /\b429\b|too many requests|rate.?limit/i],
+  ['MEMBERS_ONLY', /members[- ]only|join this channel|channel members|membership/i],
+  ['VIDEO_PRIVATE', /\bprivate video|video is private|is private\b/i],
+  ['AGE_RESTRICTED', /confirm your age|age[- ]restricted|inappropriate for some users/i],
+  ['LIVE_IN_PROGRESS', /live event will begin|premieres? in|premiere will begin|stream is live|currently live|live stream (is )?(offline|in progress)/i],
+  ['VIDEO_UNAVAILABLE', /video unavailable|video is unavailable|no longer available|been removed|does not exist|terminated/i]
+];
+
+// Error code for a free-text reason or error message, or null when it says nothing specific
+export function codeFromReason(reason) {
+  const text = String(reason || '');
+  for (const [code, pattern] of REASON_CODES) {
+    if (pattern.test(text)) return code;
+  }
+  return null;
+}
+
+function readReason(playabilityStatus) {
+  const renderer = playabilityStatus?.errorScreen?.playerErrorMessageRenderer;
+  const text = t => t?.simpleText || t?.runs?.map(r => r.text).join('') || '';
+  return [
+    playabilityStatus?.reason,
+    text(renderer?.reason),
+    text(renderer?.subreason),
+    ...(playabilityStatus?.messages || [])
+  ].filter(Boolean).join(' ');
+}
+
+// YouTubeError for a player response YouTube will not play, or null when it is playable.
+// Live streams report status OK, so videoDetails.isLive is checked as well.
+export function playabilityError(playerResponse) {
+  const playability = playerResponse?.playabilityStatus;
+  const status = playability?.status;
+  const reason = readReason(playability);
+
+  if (!status || status === 'OK') {
+    if (playerResponse?.videoDetails?.isLive || playerResponse?.videoDetails?.isUpcoming) {
+      return new YouTubeError('LIVE_IN_PROGRESS', 'The video is a live stream that has not finished yet');
+    }
+    return null;
+  }
+
+  let code;
+  switch (status) {
+    case 'AGE_CHECK_REQUIRED':
+    case 'AGE_VERIFICATION_REQUIRED':
+    case 'CONTENT_CHECK_REQUIRED':
+      code = 'AGE_RESTRICTED';
+      break;
+    case 'LIVE_STREAM_OFFLINE':
+      code = 'LIVE_IN_PROGRESS';
+      break;
+    case 'LOGIN_REQUIRED':
+      // Private videos, age gates and bot checks all surface as LOGIN_REQUIRED
+      code = codeFromReason(reason) || 'BLOCKED_BY_YOUTUBE';
+      break;
+    default:
+      // UNPLAYABLE / ERROR
+      code = codeFromReason(reason) || 'VIDEO_UNAVAILABLE';
+  }
+
+  return new YouTubeError(code, `YouTube playability ${status}: ${reason || 'no reason given'}`, { reason: reason || status });
+}
+
+// Throw the playability error of a player response, if any
+export function assertPlayable(playerResponse) {
+  const error = playabilityError(playerResponse);
+  if (error) throw error;
+}
+
+// Most specific first: a code about the video itself beats one about this server. Being
+// blocked or rate limited beats "no captions/translation": a weaker method reporting no
+// transcript while a better one was blocked is not proof the video has none.
+const CODE_PRECEDENCE = [
+  'VIDEO_PRIVATE',
+  'VIDEO_UNAVAILABLE',
+  'MEMBERS_ONLY',
+  'AGE_RESTRICTED',
+  'LIVE_IN_PROGRESS',
+  'RATE_LIMITED',
+  'BLOCKED_BY_YOUTUBE',
+  'TRANSLATION_UNAVAILABLE',
+  'NO_CAPTIONS'
+];
+
+// Trace categories (see lib/trace.js) that point at a code when no attempt carried one
+const CATEGORY_CODES = [
+  ['rate_limited', 'RATE_LIMITED'],
+  ['blocked', 'BLOCKED_BY_YOUTUBE'],
+  ['no_translation', 'TRANSLATION_UNAVAILABLE'],
+  ['no_captions', 'NO_CAPTIONS']
+];
+
+// Overall error for a request whose extraction attempts all failed
+export function errorFromAttempts(attempts, message) {
+  const failed = attempts.filter(a => !a.success && !a.skipped && a.category !== 'cancelled');
+
+  const codes = new Set(failed.map(a => a.code || codeFromReason(a.details)).filter(Boolean));
+  let code = CODE_PRECEDENCE.find(c => codes.has(c));
+
+  if (!code) {
+    const categories = new Set(failed.map(a => a.category));
+    code = CATEGORY_CODES.find(([category]) => categories.has(category))?.[1];
+  }
+
+  return new YouTubeError(code || 'EXTRACTION_FAILED', message);
+}
+
+// Coerce any thrown error into a YouTubeError, keeping an explicit status (e.g. a 400) intact
+export function toYouTubeError(error) {
+  if (error instanceof YouTubeError) return error;
+
+  const message = error?.message || String(error);
+  const code = codeFromReason(message);
+  if (code) return new YouTubeError(code, message);
+
+  const wrapped = new YouTubeError('EXTRACTION_FAILED', message, { hint: error?.hint });
+  if (error?.status) {
+    wrapped.status = error.status;
+    wrapped.retryable = error.status >= 500;
+  }
+  return wrapped;
+}
@@ -0,0 +1,127 @@
+// lib/youtube-url.js
+// One parser for every YouTube URL/ID form the endpoints accept
+
+const VIDEO_ID_RE = /^[A-Za-z0-9_-]{11}$/;
+
+const YOUTUBE_HOSTS = new Set([
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'gaming.youtube.com',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com'
+]);
+
+// Path prefixes followed by the video ID: /embed/ID, /shorts/ID, /live/ID, ...
+const ID_PATH_PREFIXES = ['embed', 'shorts', 'live', 'v', 'e'];
+
+export const VIDEO_ID_HINT = 'Provide an 11-character video ID or a YouTube URL ' +
+  '(watch?v=, youtu.be/, /shorts/, /embed/, /live/, m./music.youtube.com or youtube-nocookie.com)';
+
+export function isValidVideoId(id) {
+  return typeof id === 'string' && VIDEO_ID_RE.test(id);
+}
+
+function toUrl(input) {
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(input) ? input : `https://${input}`);
+  } catch {
+    return null;
+  }
+}
+
+// Returns the 11-character video ID for a raw ID or any supported URL, else null
+export function parseVideoId(input) {
+  if (input === undefined || input === null) return null;
+  const value = String(input).trim();
+  if (isValidVideoId(value)) return value;
+
+  const url = toUrl(value);
+  if (!url) return null;
+
+  const host = url.hostname.toLowerCase();
+  const segments = url.pathname.split('/').filter(Boolean);
+  let candidate = null;
+
+  if (host === 'youtu.be' || host === 'www.youtu.be') {
+    candidate = segments[0];
+  } else if (YOUTUBE_HOSTS.has(host)) {
+    if (segments[0] === 'watch') {
+      candidate = url.searchParams.get('v');
+    } else if (ID_PATH_PREFIXES.includes(segments[0])) {
+      candidate = segments[1];
+    } else if (segments[0] === 'attribution_link') {
+      // /attribution_link?u=/watch%3Fv%3DID%26feature%3Dshare
+      const inner = url.searchParams.get('u');
+      return inner ? parseVideoId(`https://www.youtube.com${inner.startsWith('/') ? '' : '/'}${inner}`) : null;
+    }
+  }
+
+  return isValidVideoId(candidate) ? candidate : null;
+}
+
+// Canonical watch URL for a video ID
+export function watchUrl(videoId) {
+  return `https://www.youtube.com/watch?v=${videoId}`;
+}
+
+// Resolve `videoId` or `url` from request params.
+// Returns { videoId } or { error } with a message suitable for a 400 response.
+export function videoIdFromParams({ url, videoId } = {}) {
+  const input = videoId || url;
+  if (!input) {
+    return { error: 'Missing required parameter: url or videoId' };
+  }
+
+  const id = parseVideoId(input);
+  if (!id) {
+    return { error: `Invalid YouTube URL or video ID: ${String(input).slice(0, 200)}` };
+  }
+
+  return { videoId: id };
+}
+
+const PLAYLIST_ID_RE = /^(PL|UU|LL|FL|OL|UL|PU|RD)[A-Za-z0-9_-]{10,}$/;
+const CHANNEL_ID_RE = /^UC[A-Za-z0-9_-]{22}$/;
+const HANDLE_RE = /^@[\w.-]{3,100}$/;
+
+// Percent-decoded path segment, or null when its encoding is malformed (e.g. a lone '%')
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+// Returns { type: 'playlist', playlistId } or { type: 'channel', channelId | handle | path }
+// for a playlist/channel URL or a raw playlist ID, channel ID or @handle; else null
+export function parseListSource(input) {
+  if (input === undefined || input === null) return null;
+  const value = String(input).trim();
+  if (PLAYLIST_ID_RE.test(value)) return { type: 'playlist', playlistId: value };
+  if (CHANNEL_ID_RE.test(value)) return { type: 'channel', channelId: value };
+  if (HANDLE_RE.test(value)) return { type: 'channel', handle: value };
+
+  const url = toUrl(value);
+  if (!url || !YOUTUBE_HOSTS.has(url.hostname.toLowerCase())) return null;
+
+  // playlist?list=ID, and watch?v=ID&list=ID (the list wins: the caller asked for a batch)
+  const list = url.searchParams.get('list');
+  if (list && /^[A-Za-z0-9_-]{10,}$/.test(list)) return { type: 'playlist', playlistId: list };
+
+  const segments = url.pathname.split('/').filter(Boolean);
+  if (segments[0] === 'channel' && CHANNEL_ID_RE.test(segments[1] || '')) {
+    return { type: 'channel', channelId: segments[1] };
+  }
+  const handle = segments[0] && decodeSegment(segments[0]);
+  if (handle && HANDLE_RE.test(handle)) {
+    return { type: 'channel', handle };
+  }
+  // Legacy /c/Name and /user/Name URLs only resolve through YouTube itself
+  if ((segments[0] === 'c' || segments[0] === 'user') && segments[1]) {
+    return { type: 'channel', path: `/${segments[0]}/${segments[1]}` };
+  }
+  return null;
+}
@@ -0,0 +1,34 @@
+// routes.js
+// Single route table for the handlers in api/. index.js mounts every entry into Express
+// for local runs and self-hosting; on Vercel the same files run as functions (vercel.json).
+
+import express from "express";
+import transcript from "./api/transcript.js";
+import transcriptSimple from "./api/transcript-simple.js";
+import transcriptCaptions from "./api/transcript-captions.js";
+import transcriptBackup from "./api/transcript-backup.js";
+import tracks from "./api/tracks.js";
+import batch from "./api/batch.js";
+import metadata from "./api/metadata.js";
+import health from "./api/health.js";
+
+export const API_ROUTES = [
+  { path: "/api/transcript", handler: transcript },
+  { path: "/api/transcript-simple", handler: transcriptSimple },
+  { path: "/api/transcript-captions", handler: transcriptCaptions },
+  { path: "/api/transcript-backup", handler: transcriptBackup },
+  { path: "/api/tracks", handler: tracks },
+  { path: "/api/batch", handler: batch },
+  { path: "/api/metadata", handler: metadata },
+  { path: "/api/health", handler: health },
+];
+
+// Express adapter for a Vercel-style (req, res) handler: parses JSON bodies like Vercel does
+// and forwards anything the handler did not catch to Express' error handling
+export function mountApiRoutes(app) {
+  for (const { path, handler } of API_ROUTES) {
+    app.all(path, express.json({ limit: "1mb" }), (req, res, next) => {
+      Promise.resolve(handler(req, res)).catch(next);
+    });
+  }
+}
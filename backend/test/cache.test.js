@@ -0,0 +1,117 @@
+// test/cache.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cached, transcriptCacheKey } from '../lib/cache.js';
+
+// The store is created on first use; every test file runs in its own process
+process.env.CACHE_BACKEND = 'memory';
+
+// A compute function that settles when the test says so
+function deferredCompute() {
+  const control = { calls: 0 };
+  control.compute = run => {
+    control.calls++;
+    control.run = run;
+    return new Promise((resolve, reject) => Object.assign(control, { resolve, reject }));
+  };
+  return control;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('transcriptCacheKey is versioned and fills in defaults', () => {
+  assert.equal(
+    transcriptCacheKey({ videoId: 'dQw4w9WgXcQ', lang: 'en', kind: 'native', format: 'srt' }),
+    'transcript:v6:dQw4w9WgXcQ:en:native:srt'
+  );
+  assert.equal(transcriptCacheKey({ videoId: 'dQw4w9WgXcQ' }), 'transcript:v6:dQw4w9WgXcQ:auto:default:raw');
+});
+
+test('concurrent callers share one run; later callers get a cache hit', async () => {
+  const work = deferredCompute();
+  const first = cached('coalesce', work.compute);
+  const second = cached('coalesce', work.compute);
+  await tick();
+  work.resolve('value');
+
+  const [a, b] = await Promise.all([first, second]);
+  assert.equal(work.calls, 1);
+  assert.equal(a.value, 'value');
+  assert.deepEqual([a.cache.hit, a.cache.coalesced, b.cache.hit, b.cache.coalesced], [false, false, false, true]);
+  assert.equal(a.cache.backend, 'memory');
+
+  const third = await cached('coalesce', work.compute);
+  assert.equal(work.calls, 1);
+  assert.equal(third.cache.hit, true);
+  assert.equal(third.cache.storedAt, a.cache.storedAt);
+});
+
+test('fresh skips the cached value and stores the new one', async () => {
+  await cached('fresh', async () => 'old');
+  const renewed = await cached('fresh', async () => 'new', { fresh: true });
+  assert.deepEqual([renewed.value, renewed.cache.hit], ['new', false]);
+  assert.equal((await cached('fresh', async () => 'unused')).value, 'new');
+});
+
+test('failures and ttlMs 0 results are not cached', async () => {
+  await assert.rejects(cached('failure', async () => { throw new Error('boom'); }), /boom/);
+  assert.equal((await cached('failure', async () => 'recovered')).value, 'recovered');
+
+  await cached('no-ttl', async () => 'first', { ttlMs: 0 });
+  assert.equal((await cached('no-ttl', async () => 'second', { ttlMs: 0 })).value, 'second');
+});
+
+test('progress reaches every subscriber', async () => {
+  const work = deferredCompute();
+  const seen = { a: [], b: [] };
+  const first = cached('progress', work.compute, { onProgress: p => seen.a.push(p.percent) });
+  const second = cached('progress', work.compute, { onProgress: p => seen.b.push(p.percent) });
+  await tick();
+  work.run.onProgress({ percent: 50 });
+  work.resolve('done');
+  await Promise.all([first, second]);
+  assert.deepEqual(seen, { a: [50], b: [50] });
+});
+
+test('one caller aborting only detaches it; the run stops once every caller has gone', async () => {
+  const work = deferredCompute();
+  const leaving = new AbortController();
+  const staying = new AbortController();
+  const first = cached('abort', work.compute, { signal: leaving.signal });
+  const second = cached('abort', work.compute, { signal: staying.signal });
+  await tick();
+
+  leaving.abort(new Error('first caller left'));
+  await assert.rejects(first, /first caller left/);
+  assert.equal(work.run.signal.aborted, false);
+
+  staying.abort(new Error('second caller left'));
+  await assert.rejects(second, /second caller left/);
+  assert.equal(work.run.signal.aborted, true);
+
+  // The abandoned run is no longer joinable: a new caller starts over
+  const retry = deferredCompute();
+  const third = cached('abort', retry.compute);
+  await tick();
+  retry.resolve('again');
+  assert.equal((await third).value, 'again');
+  assert.equal(retry.calls, 1);
+});
+
+test('awaitRun holds the last caller until the aborted run has settled', async () => {
+  const work = deferredCompute();
+  const controller = new AbortController();
+  let settled = false;
+  const pending = cached('await-run', work.compute, { signal: controller.signal, awaitRun: true })
+    .finally(() => { settled = true; });
+  await tick();
+
+  controller.abort(new Error('cancelled'));
+  await tick();
+  assert.equal(work.run.signal.aborted, true);
+  assert.equal(settled, false);
+
+  // Even a run that ignored the signal and finished reports the caller's abort
+  work.resolve('late');
+  await assert.rejects(pending, /cancelled/);
+});
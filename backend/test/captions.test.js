@@ -0,0 +1,62 @@
+// test/captions.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanCaptionText, decodeEntities, detectCaptionFormat, parseCaptions } from '../lib/captions.js';
+
+test('timedtext: decodes the double-escaped caption text', () => {
+  const xml = '<?xml version="1.0" encoding="utf-8" ?><transcript>' +
+    '<text start="0.5" dur="2.1">Tom &amp;amp; Jerry</text>' +
+    '<text start="2.6" dur="3">we&amp;#39;re &amp;quot;here&amp;quot;</text>' +
+    '</transcript>';
+  assert.equal(detectCaptionFormat(xml), 'timedtext');
+  assert.deepEqual(parseCaptions(xml), [
+    { start: 0.5, duration: 2.1, text: 'Tom & Jerry' },
+    { start: 2.6, duration: 3, text: 'we\'re "here"' }
+  ]);
+});
+
+test('timedtext: strips escaped formatting tags and skips empty cues', () => {
+  const xml = '<transcript>' +
+    '<text start="1" dur="1">&lt;font color=&quot;#E5E5E5&quot;&gt;hello&lt;/font&gt;<br/>world</text>' +
+    '<text start="2" dur="1">   </text>' +
+    '<text start="3" dur="1"/>' +
+    '</transcript>';
+  assert.deepEqual(parseCaptions(xml), [{ start: 1, duration: 1, text: 'hello world' }]);
+});
+
+test('srv3: joins <s> word spans and converts milliseconds', () => {
+  const xml = '<?xml version="1.0" encoding="utf-8" ?><timedtext format="3"><body>' +
+    '<p t="1200" d="3400" w="1"><s ac="0">so</s><s t="300" ac="0"> we&#39;re</s><s t="600"> live</s></p>' +
+    '<p t="4600" d="1000" w="1" a="1">\n</p>' +
+    '</body></timedtext>';
+  assert.equal(detectCaptionFormat(xml), 'srv3');
+  assert.deepEqual(parseCaptions(xml), [{ start: 1.2, duration: 3.4, text: 'so we\'re live' }]);
+});
+
+test('json3: skips events without segs', () => {
+  const payload = JSON.stringify({
+    events: [
+      { tStartMs: 0, dDurationMs: 60000, id: 1, wpWinPosId: 1, wsWinStyleId: 1 },
+      { tStartMs: 1500, dDurationMs: 2000, segs: [{ utf8: 'hello' }, { utf8: ' there', tOffsetMs: 400 }] },
+      { tStartMs: 3500, dDurationMs: 10, aAppend: 1, segs: [{ utf8: '\n' }] }
+    ]
+  });
+  assert.equal(detectCaptionFormat(payload), 'json3');
+  assert.deepEqual(parseCaptions(payload), [{ start: 1.5, duration: 2, text: 'hello there' }]);
+});
+
+test('empty tracks parse to no segments; other payloads throw', () => {
+  assert.deepEqual(parseCaptions('<?xml version="1.0" ?><transcript></transcript>'), []);
+  assert.throws(() => parseCaptions('<html>Sign in</html>'), /Unrecognized caption payload/);
+});
+
+test('decodeEntities: named, decimal and hex entities; unknown ones are kept', () => {
+  assert.equal(decodeEntities('caf&eacute; &#8212; &#x27;ok&#x27; &bogus;'), 'café — \'ok\' &bogus;');
+  assert.equal(cleanCaptionText('a\u200b  b&nbsp;c'), 'a b c');
+});
+
+test('cleanCaptionText: layers 1 decodes only what a library left of the double escaping', () => {
+  assert.equal(cleanCaptionText('we&amp;#39;re AT&amp;amp;amp;T'), 'we\'re AT&amp;T');
+  // youtube-transcript-plus already turned the payload above into this
+  assert.equal(cleanCaptionText('we&#39;re AT&amp;amp;T', { layers: 1 }), 'we\'re AT&amp;T');
+});
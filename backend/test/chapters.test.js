@@ -0,0 +1,95 @@
+// test/chapters.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { groupByChapter, parseDescriptionChapters, resolveChapters } from '../lib/chapters.js';
+
+const DESCRIPTION = [
+  'In this video we build a thing.',
+  '',
+  '0:00 Intro',
+  '1:30 - Setup',
+  '(12:05) Wrap-up',
+  '',
+  'Follow me at 9:99 pm'
+].join('\n');
+
+test('parses leading and trailing timestamps and fills in chapter ends', () => {
+  assert.deepEqual(parseDescriptionChapters(DESCRIPTION, 900), [
+    { title: 'Intro', start: 0, end: 90 },
+    { title: 'Setup', start: 90, end: 725 },
+    { title: 'Wrap-up', start: 725, end: 900 }
+  ]);
+  assert.deepEqual(parseDescriptionChapters('Intro - 00:00\nMiddle - 01:00\nEnd (1:02:03)'), [
+    { title: 'Intro', start: 0, end: 60 },
+    { title: 'Middle', start: 60, end: 3723 },
+    { title: 'End', start: 3723, end: null }
+  ]);
+});
+
+test('needs at least 3 chapters', () => {
+  assert.deepEqual(parseDescriptionChapters('0:00 Intro\n1:00 Outro', 120), []);
+});
+
+test('needs the first chapter at 0:00', () => {
+  assert.deepEqual(parseDescriptionChapters('0:10 Intro\n1:00 Middle\n2:00 Outro', 300), []);
+});
+
+test('needs every chapter to be at least 10 seconds long', () => {
+  assert.deepEqual(parseDescriptionChapters('0:00 Intro\n0:09 Middle\n1:00 Outro', 300), []);
+  // The last chapter is measured against the video length when it is known
+  assert.deepEqual(parseDescriptionChapters('0:00 Intro\n1:00 Middle\n2:00 Outro', 125), []);
+  assert.equal(parseDescriptionChapters('0:00 Intro\n0:10 Middle\n1:00 Outro', 70).length, 3);
+});
+
+test('stops at the first timestamp that does not ascend', () => {
+  const chapters = parseDescriptionChapters('0:00 A\n1:00 B\n2:00 C\n1:30 Not a chapter\n3:00 D', 400);
+  assert.deepEqual(chapters.map(c => c.title), ['A', 'B', 'C']);
+});
+
+test('groupByChapter puts segments under the chapter they start in', () => {
+  const chapters = [
+    { title: 'Intro', start: 5, end: 20 },
+    { title: 'Main', start: 20, end: null }
+  ];
+  const segments = [
+    { start: 0, duration: 2, text: 'cold open' },
+    { start: 5, duration: 2, text: 'hello' },
+    { start: 19.5, duration: 2, text: 'so' },
+    { start: 20, duration: 2, text: 'first point' }
+  ];
+  assert.deepEqual(groupByChapter(segments, chapters).map(g => [g.title, g.segments.map(s => s.text)]), [
+    [null, ['cold open']],
+    ['Intro', ['hello', 'so']],
+    ['Main', ['first point']]
+  ]);
+});
+
+test('resolveChapters uses description chapters without calling YouTube', async t => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => {
+    throw new Error('unexpected network call');
+  });
+  const { chapters, source } = await resolveChapters('dQw4w9WgXcQ', { description: DESCRIPTION, videoDuration: 900 });
+  assert.equal(source, 'description');
+  assert.equal(chapters.length, 3);
+  assert.equal(fetch.mock.callCount(), 0);
+});
+
+test('resolveChapters only fetches player markers when asked to', async t => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({
+    playerOverlays: { decoratedPlayerBarRenderer: { playerBar: { markers: [
+      { chapterRenderer: { title: { simpleText: 'Start' }, timeRangeStartMillis: 0 } },
+      { chapterRenderer: { title: { simpleText: 'Demo' }, timeRangeStartMillis: 60000 } }
+    ] } } }
+  })));
+
+  assert.deepEqual(await resolveChapters('dQw4w9WgXcQ', { description: 'no timestamps here' }), { chapters: [], source: null });
+  assert.equal(fetch.mock.callCount(), 0);
+
+  const { chapters, source } = await resolveChapters('dQw4w9WgXcQ', { videoDuration: 120, markers: true });
+  assert.equal(source, 'markers');
+  assert.deepEqual(chapters, [
+    { title: 'Start', start: 0, end: 60 },
+    { title: 'Demo', start: 60, end: 120 }
+  ]);
+  assert.match(String(fetch.mock.calls[0].arguments[0]), /youtubei\/v1\/next/);
+});
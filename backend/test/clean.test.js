@@ -0,0 +1,64 @@
+// test/clean.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanOptionsKey, cleanSegments, resolveCleanOptions } from '../lib/clean.js';
+
+const clean = (text, option = true) => cleanSegments([{ start: 0, duration: 1, text }], resolveCleanOptions(option));
+
+test('removes non-speech tags, speaker markers and fillers', () => {
+  const { segments, report } = clean('>> [Music] Um, so we are going to, uh, talk ♪♪');
+  assert.equal(segments[0].text, 'So we are going to talk');
+  assert.equal(report.removed.tags.count, 2);
+  assert.deepEqual(report.removed.tags.items, { '[Music]': 1, '♪': 1 });
+  assert.equal(report.removed.speakerMarkers.count, 1);
+  assert.deepEqual(report.removed.fillers.items, { um: 1, uh: 1 });
+});
+
+test('collapses repeated words and straightens quotes', () => {
+  const { segments, report } = clean('I I think it’s “the the” best');
+  assert.equal(segments[0].text, 'I think it\'s "the" best');
+  assert.deepEqual(report.removed.repeats.items, { i: 1, the: 1 });
+});
+
+test('filler words only match whole words', () => {
+  assert.equal(clean('the umbrella is here, umm').segments[0].text, 'the umbrella is here');
+});
+
+test('drops segments left empty and counts them', () => {
+  const { segments, report } = cleanSegments(
+    [{ start: 0, duration: 1, text: '[Applause]' }, { start: 1, duration: 1, text: 'thanks' }],
+    resolveCleanOptions(true)
+  );
+  assert.deepEqual(segments, [{ start: 1, duration: 1, text: 'thanks' }]);
+  assert.equal(report.droppedSegments, 1);
+});
+
+test('runs only the requested steps', () => {
+  assert.equal(clean('[Music] um hello hello', 'tags').segments[0].text, 'um hello hello');
+  assert.equal(clean('um like hello', { fillerWords: ['like'] }).segments[0].text, 'um hello');
+});
+
+test('resolveCleanOptions', () => {
+  assert.equal(resolveCleanOptions(undefined), null);
+  assert.equal(resolveCleanOptions('false'), null);
+  assert.deepEqual(resolveCleanOptions('tags,quotes'), {
+    tags: true, speakerMarkers: false, fillers: false, repeats: false, quotes: true,
+    fillerWords: resolveCleanOptions(true).fillerWords
+  });
+  assert.throws(() => resolveCleanOptions('tags,typos'), error => error.status === 400 && /typos/.test(error.message));
+  assert.throws(() => resolveCleanOptions({ typos: true }), error => error.status === 400);
+});
+
+test('cleanOptionsKey is stable across filler word order', () => {
+  assert.equal(cleanOptionsKey(null), 'raw');
+  assert.equal(
+    cleanOptionsKey(resolveCleanOptions({ fillerWords: ['uh', 'like'] })),
+    cleanOptionsKey(resolveCleanOptions({ fillerWords: ['like', 'uh'] }))
+  );
+  assert.equal(cleanOptionsKey(resolveCleanOptions('tags')), 'clean-tags');
+});
+
+test('leaves segments untouched when cleaning is off', () => {
+  const segments = [{ start: 0, duration: 1, text: 'um [Music]' }];
+  assert.deepEqual(cleanSegments(segments, null), { segments, report: null });
+});
@@ -0,0 +1,56 @@
+// test/download.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { negotiateEncoding, requestParams, sendTranscriptFile, wantsDownload } from '../lib/download.js';
+
+// Just enough of an Express response to capture what was sent
+function fakeResponse() {
+  return {
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    end(body) { this.body = body; }
+  };
+}
+
+test('negotiateEncoding honours q-values and prefers brotli on a tie', () => {
+  assert.equal(negotiateEncoding('gzip, deflate, br'), 'br');
+  assert.equal(negotiateEncoding('gzip;q=1, br;q=0.5'), 'gzip');
+  assert.equal(negotiateEncoding('br;q=0, gzip'), 'gzip');
+  assert.equal(negotiateEncoding('*;q=0.3'), 'br');
+  assert.equal(negotiateEncoding('identity'), null);
+  assert.equal(negotiateEncoding('gzip;q=0'), null);
+  assert.equal(negotiateEncoding(undefined), null);
+});
+
+test('wantsDownload and requestParams', () => {
+  for (const value of [true, 1, '1', 'true', 'YES']) assert.equal(wantsDownload({ download: value }), true, String(value));
+  for (const value of [undefined, false, 0, '0', 'no', '']) assert.equal(wantsDownload({ download: value }), false, String(value));
+  assert.deepEqual(requestParams({ method: 'GET', query: { videoId: 'a' }, body: { videoId: 'b' } }), { videoId: 'a' });
+  assert.deepEqual(requestParams({ method: 'POST', query: { videoId: 'a' }, body: { videoId: 'b' } }), { videoId: 'b' });
+  assert.deepEqual(requestParams({ method: 'POST' }), {});
+});
+
+test('sendTranscriptFile compresses large files with the negotiated encoding', () => {
+  const text = 'WEBVTT\n\n' + '00:00:01.000 --> 00:00:02.000\nhello\n\n'.repeat(100);
+  const res = fakeResponse();
+  sendTranscriptFile({ headers: { 'accept-encoding': 'gzip, br' } }, res, { videoId: 'dQw4w9WgXcQ', format: 'vtt', text, source: 'test' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-type'], 'text/vtt; charset=utf-8');
+  assert.equal(res.headers['content-disposition'], 'attachment; filename="dQw4w9WgXcQ.vtt"');
+  assert.equal(res.headers['content-encoding'], 'br');
+  assert.equal(res.headers.vary, 'Accept-Encoding');
+  assert.equal(res.headers['x-transcript-source'], 'test');
+  assert.equal(res.headers['content-length'], String(res.body.length));
+  assert.equal(zlib.brotliDecompressSync(res.body).toString('utf8'), text);
+});
+
+test('sendTranscriptFile sends small files uncompressed', () => {
+  const res = fakeResponse();
+  sendTranscriptFile({ headers: { 'accept-encoding': 'gzip' } }, res, { videoId: 'dQw4w9WgXcQ', format: 'txt', text: 'short' });
+  assert.equal(res.headers['content-encoding'], undefined);
+  assert.equal(res.headers['x-transcript-source'], undefined);
+  assert.equal(res.body.toString('utf8'), 'short');
+});
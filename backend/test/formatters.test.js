@@ -0,0 +1,102 @@
+// test/formatters.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { formatAsMarkdown, formatTimestamp, formatTranscript, normalizeFormat } from '../lib/formatters.js';
+
+// 1.1 and 3661.0015 drift when multiplied out naively; 3661.0015 also exercises the hour field
+const SEGMENTS = [
+  { start: 1.1, duration: 2.2, text: 'Tom & Jerry <3' },
+  { start: 3661.0015, duration: 1, text: "it's \"on\"" }
+];
+
+test('formatTimestamp rounds to the millisecond once', () => {
+  assert.equal(formatTimestamp(1.1), '00:00:01,100');
+  assert.equal(formatTimestamp(59.9996), '00:01:00,000');
+  assert.equal(formatTimestamp(3661.0015, '.'), '01:01:01.002');
+  assert.equal(formatTimestamp(-5), '00:00:00,000');
+});
+
+test('srt', () => {
+  assert.equal(
+    formatTranscript(SEGMENTS, 'srt'),
+    '1\n00:00:01,100 --> 00:00:03,300\nTom & Jerry <3\n\n' +
+    '2\n01:01:01,002 --> 01:01:02,002\nit\'s "on"\n'
+  );
+});
+
+test('vtt escapes markup characters in cue text', () => {
+  assert.equal(
+    formatTranscript(SEGMENTS, 'webvtt'),
+    'WEBVTT\n\n00:00:01.100 --> 00:00:03.300\nTom &amp; Jerry &lt;3\n\n' +
+    '01:01:01.002 --> 01:01:02.002\nit\'s "on"\n'
+  );
+});
+
+test('sbv uses an unpadded hour', () => {
+  assert.equal(
+    formatTranscript(SEGMENTS, 'sbv'),
+    '0:00:01.100,0:00:03.300\nTom & Jerry <3\n\n1:01:01.002,1:01:02.002\nit\'s "on"\n'
+  );
+});
+
+test('ttml escapes text and the language attribute', () => {
+  const ttml = formatTranscript(SEGMENTS, 'ttml', { language: 'pt-BR' });
+  assert.match(ttml, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<tt xmlns="http:\/\/www\.w3\.org\/ns\/ttml" xml:lang="pt-BR">/);
+  assert.ok(ttml.includes('<p begin="00:00:01.100" end="00:00:03.300">Tom &amp; Jerry &lt;3</p>'));
+  assert.ok(ttml.includes('<p begin="01:01:01.002" end="01:01:02.002">it&apos;s &quot;on&quot;</p>'));
+});
+
+test('json3 uses YouTube\'s event layout in milliseconds', () => {
+  assert.deepEqual(JSON.parse(formatTranscript(SEGMENTS, 'json3')), {
+    wireMagic: 'pb3',
+    events: [
+      { tStartMs: 1100, dDurationMs: 2200, segs: [{ utf8: 'Tom & Jerry <3' }] },
+      { tStartMs: 3661002, dDurationMs: 1000, segs: [{ utf8: 'it\'s "on"' }] }
+    ]
+  });
+});
+
+test('txt and format names', () => {
+  assert.equal(formatTranscript(SEGMENTS), 'Tom & Jerry <3 it\'s "on"');
+  assert.equal(normalizeFormat(' DFXP '), 'ttml');
+  assert.equal(normalizeFormat('docx'), null);
+  assert.throws(() => formatTranscript(SEGMENTS, 'docx'), /Unsupported format: docx/);
+});
+
+const CHAPTERS = [
+  { title: 'Intro', start: 0, end: 60 },
+  { title: 'Main *part*', start: 60, end: null }
+];
+
+test('md: a heading per chapter with its text underneath', () => {
+  const segments = [
+    { start: 1, duration: 2, text: 'hello' },
+    { start: 3, duration: 2, text: 'there' },
+    { start: 65, duration: 2, text: 'the point' }
+  ];
+  assert.equal(
+    formatAsMarkdown(segments, { title: 'A video', chapters: CHAPTERS }),
+    '# A video\n\n## Intro (0:00)\n\nhello there\n\n## Main \\*part\\* (1:00)\n\nthe point\n'
+  );
+});
+
+test('md: paragraphs stay separate blocks; no chapters means no headings', () => {
+  const paragraphs = [
+    { start: 0, duration: 5, text: 'First paragraph.' },
+    { start: 8, duration: 5, text: 'Second paragraph.' }
+  ];
+  assert.equal(formatTranscript(paragraphs, 'md', { layout: 'paragraphs' }), 'First paragraph.\n\nSecond paragraph.\n');
+});
+
+test('md: no heading for a chapter left empty', () => {
+  const chapters = [
+    { title: 'Intro', start: 0, end: 60 },
+    { title: 'Sponsor', start: 60, end: 90 },
+    { title: 'Outro', start: 90, end: null }
+  ];
+  const segments = [
+    { start: 1, duration: 2, text: 'hello' },
+    { start: 95, duration: 2, text: 'bye' }
+  ];
+  assert.equal(formatAsMarkdown(segments, { chapters }), '## Intro (0:00)\n\nhello\n\n## Outro (1:30)\n\nbye\n');
+});
@@ -0,0 +1,47 @@
+// test/jobs.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// Limits are read when lib/jobs.js loads; every test file runs in its own process
+process.env.JOB_CONCURRENCY = '1';
+process.env.JOB_MAX = '3';
+const { cancelJob, createJob, getJob } = await import('../lib/jobs.js');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// A task that settles when the test says so, ignoring its signal like a run stuck in a slow step
+function deferredTask() {
+  const control = { started: false };
+  control.task = () => {
+    control.started = true;
+    return new Promise((resolve, reject) => Object.assign(control, { resolve, reject }));
+  };
+  return control;
+}
+
+test('a cancelled job keeps its slot until its task settles, and the store is capped', async () => {
+  const slow = deferredTask();
+  const next = deferredTask();
+  const first = createJob(slow.task);
+  const second = createJob(next.task);
+  await tick();
+  assert.deepEqual([first.status, second.status], ['running', 'queued']);
+
+  assert.equal(cancelJob(first.id), true);
+  assert.equal(getJob(first.id).status, 'cancelled');
+  await tick();
+  assert.equal(next.started, false);
+
+  slow.resolve('ignored');
+  await tick();
+  assert.equal(next.started, true);
+  assert.equal(first.result, null);
+
+  // Retained (cancelled), running and queued jobs all count toward JOB_MAX
+  createJob(deferredTask().task);
+  assert.throws(() => createJob(deferredTask().task), error => error.status === 503);
+
+  next.resolve('done');
+  await tick();
+  assert.equal(second.status, 'completed');
+});
@@ -0,0 +1,124 @@
+// test/method-health.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { canRun, getMethodHealth, isAvailable, recordAttempt, retryAt } from '../lib/method-health.js';
+
+// Breaker state is per process, so every test uses its own method name
+const COOLDOWN_MS = getMethodHealth().cooldownMs;
+const THRESHOLD = getMethodHealth().failureThreshold;
+
+const fail = (method, category = 'blocked') => recordAttempt({ method, success: false, durationMs: 10, category, details: 'failed' });
+const succeed = method => recordAttempt({ method, success: true, durationMs: 10 });
+
+// Date.now under the test's control
+function clock(t) {
+  let now = 1_700_000_000_000;
+  t.mock.method(Date, 'now', () => now);
+  return { advance: ms => { now += ms; } };
+}
+
+test('opens after the failure threshold and reports when it retries', t => {
+  clock(t);
+  for (let i = 0; i < THRESHOLD - 1; i++) fail('threshold');
+  assert.equal(canRun('threshold'), true);
+
+  fail('threshold');
+  assert.equal(canRun('threshold'), false);
+  const health = getMethodHealth().methods.threshold;
+  assert.equal(health.state, 'open');
+  assert.equal(health.consecutiveFailures, THRESHOLD);
+  assert.equal(health.retryAt, new Date(Date.now() + COOLDOWN_MS).toISOString());
+  assert.equal(retryAt('threshold'), health.retryAt);
+});
+
+test('a success resets the failure count', () => {
+  for (let i = 0; i < THRESHOLD - 1; i++) fail('reset');
+  succeed('reset');
+  fail('reset');
+  assert.equal(getMethodHealth().methods.reset.consecutiveFailures, 1);
+  assert.equal(canRun('reset'), true);
+});
+
+test('neutral, cancelled and skipped failures never open the breaker', () => {
+  for (let i = 0; i < THRESHOLD * 2; i++) {
+    fail('neutral', 'no_captions');
+    fail('neutral', 'cancelled');
+    fail('neutral', 'circuit_open');
+  }
+  const health = getMethodHealth().methods.neutral;
+  assert.equal(health.state, 'closed');
+  assert.equal(health.consecutiveFailures, 0);
+  // Cancelled and skipped attempts are not samples either
+  assert.equal(health.samples, THRESHOLD * 2);
+  assert.equal(health.lastError.category, 'no_captions');
+});
+
+test('after the cooldown one trial runs half-open; a success closes the breaker', t => {
+  const time = clock(t);
+  for (let i = 0; i < THRESHOLD; i++) fail('recovers');
+  time.advance(COOLDOWN_MS - 1);
+  assert.equal(canRun('recovers'), false);
+
+  time.advance(1);
+  assert.equal(canRun('recovers'), true);
+  assert.equal(getMethodHealth().methods.recovers.state, 'half-open');
+
+  succeed('recovers');
+  assert.equal(getMethodHealth().methods.recovers.state, 'closed');
+  assert.equal(canRun('recovers'), true);
+});
+
+test('isAvailable answers like canRun without taking the half-open trial', t => {
+  const time = clock(t);
+  assert.equal(isAvailable('peek'), true);
+  for (let i = 0; i < THRESHOLD; i++) fail('peek');
+  assert.equal(isAvailable('peek'), false);
+
+  time.advance(COOLDOWN_MS);
+  assert.equal(isAvailable('peek'), true);
+  assert.equal(getMethodHealth().methods.peek.state, 'open');
+  assert.equal(canRun('peek'), true);
+  // The trial is taken; nobody else gets it
+  assert.equal(isAvailable('peek'), false);
+});
+
+test('a failed half-open trial re-opens the breaker for another cooldown', t => {
+  const time = clock(t);
+  for (let i = 0; i < THRESHOLD; i++) fail('relapses');
+  time.advance(COOLDOWN_MS);
+  assert.equal(canRun('relapses'), true);
+
+  fail('relapses');
+  assert.equal(getMethodHealth().methods.relapses.state, 'open');
+  assert.equal(canRun('relapses'), false);
+  time.advance(COOLDOWN_MS);
+  assert.equal(canRun('relapses'), true);
+});
+
+test('getMethodHealth reports success rate and latency', () => {
+  recordAttempt({ method: 'stats', success: true, durationMs: 100 });
+  recordAttempt({ method: 'stats', success: true, durationMs: 300 });
+  recordAttempt({ method: 'stats', success: false, durationMs: 200, category: 'network', details: 'fetch failed' });
+  const health = getMethodHealth().methods.stats;
+  assert.equal(health.successRate, 0.667);
+  assert.equal(health.avgLatencyMs, 200);
+  assert.equal(health.p95LatencyMs, 300);
+  assert.deepEqual(health.lastError, { category: 'network', message: 'fetch failed' });
+  assert.equal(health.retryAt, undefined);
+});
+
+test('a cancelled or neutral half-open trial goes back to open and can be retried at once', t => {
+  const time = clock(t);
+  for (const category of ['cancelled', 'no_captions']) {
+    const method = `abandoned-${category}`;
+    for (let i = 0; i < THRESHOLD; i++) fail(method);
+    time.advance(COOLDOWN_MS);
+    assert.equal(canRun(method), true);
+
+    fail(method, category);
+    assert.equal(getMethodHealth().methods[method].state, 'open', category);
+    // The trial told us nothing, so the next request runs it again instead of waiting a cooldown
+    assert.equal(canRun(method), true, category);
+    assert.equal(getMethodHealth().methods[method].state, 'half-open', category);
+  }
+});
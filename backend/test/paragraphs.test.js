@@ -0,0 +1,74 @@
+// test/paragraphs.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildParagraphs, buildSentences, dedupeSegments, normalizeLayout } from '../lib/paragraphs.js';
+
+// Rolling auto-generated cues: each one repeats the tail of the cue before it
+const ROLLING_CUES = [
+  { start: 0, duration: 3, text: 'so today we are' },
+  { start: 2, duration: 3, text: 'we are going to talk' },
+  { start: 4, duration: 3, text: 'going to talk about chapters' }
+];
+
+test('dedupeSegments drops the words overlapping ASR cues repeat', () => {
+  assert.deepEqual(dedupeSegments(ROLLING_CUES).map(s => s.text), [
+    'so today we are',
+    'going to talk',
+    'about chapters'
+  ]);
+});
+
+test('dedupeSegments folds a fully repeated cue into the one before it', () => {
+  const result = dedupeSegments([
+    { start: 0, duration: 2, text: 'hello world' },
+    { start: 1.5, duration: 2, text: 'hello world' }
+  ]);
+  assert.deepEqual(result, [{ start: 0, duration: 3.5, text: 'hello world' }]);
+});
+
+test('dedupeSegments keeps genuine repetitions and cues after a long gap', () => {
+  assert.deepEqual(dedupeSegments([
+    { start: 0, duration: 1, text: 'I said no' },
+    { start: 1, duration: 1, text: 'no no no' }
+  ]).map(s => s.text), ['I said no', 'no no no']);
+
+  assert.deepEqual(dedupeSegments([
+    { start: 0, duration: 1, text: 'thank you very much' },
+    { start: 30, duration: 1, text: 'very much indeed' }
+  ]).map(s => s.text), ['thank you very much', 'very much indeed']);
+});
+
+test('buildSentences splits punctuated tracks on sentence ends, not abbreviations', () => {
+  const sentences = buildSentences([
+    { start: 0, duration: 2, text: 'Hello there. I met Dr. Smith' },
+    { start: 2, duration: 2, text: 'yesterday. How are you?' }
+  ]);
+  assert.deepEqual(sentences.map(s => s.text), ['Hello there.', 'I met Dr. Smith yesterday.', 'How are you?']);
+});
+
+test('buildSentences splits unpunctuated tracks on pauses and punctuates them', () => {
+  const sentences = buildSentences([
+    { start: 0, duration: 1, text: 'so i think' },
+    { start: 1, duration: 1, text: "it's fine" },
+    { start: 3, duration: 1, text: 'next thing' }
+  ]);
+  assert.deepEqual(sentences.map(s => s.text), ["So I think it's fine.", 'Next thing.']);
+  assert.equal(sentences[1].pauseBefore, 1);
+});
+
+test('buildParagraphs de-duplicates cues and starts a paragraph after a long pause', () => {
+  const paragraphs = buildParagraphs([
+    ...ROLLING_CUES,
+    { start: 12, duration: 2, text: 'welcome back' }
+  ]);
+  assert.deepEqual(paragraphs.map(p => p.text), ['So today we are going to talk about chapters.', 'Welcome back.']);
+  assert.equal(paragraphs[0].start, 0);
+  assert.equal(paragraphs[1].start, 12);
+  assert.equal(paragraphs[1].duration, 2);
+});
+
+test('normalizeLayout', () => {
+  assert.equal(normalizeLayout(' Paragraphs '), 'paragraphs');
+  assert.equal(normalizeLayout(undefined), 'segments');
+  assert.equal(normalizeLayout('columns'), null);
+});
@@ -0,0 +1,95 @@
+// test/quality.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { assessQuality } from '../lib/quality.js';
+
+// Back-to-back 5-second cues from `from` to `to` seconds
+function cues(from, to, text = 'words') {
+  const segments = [];
+  for (let start = from; start < to; start += 5) segments.push({ start, duration: 5, text });
+  return segments;
+}
+
+test('manual captions covering the whole video score high with no issues', () => {
+  const quality = assessQuality({ segments: cues(0, 100), videoDuration: 100, trackKind: 'manual' });
+  assert.equal(quality.score, 1);
+  assert.equal(quality.level, 'high');
+  assert.equal(quality.autoGenerated, false);
+  assert.deepEqual(quality.coverage, { captionedSeconds: 100, videoSeconds: 100, ratio: 1 });
+  assert.deepEqual(quality.issues, []);
+});
+
+test('gaps and low coverage are measured against the video length', () => {
+  // Captions only for the first 40 seconds of 100, the rest is one gap
+  const quality = assessQuality({ segments: cues(0, 40), videoDuration: 100, trackKind: 'asr' });
+  assert.equal(quality.coverage.ratio, 0.4);
+  assert.deepEqual(quality.gaps, { thresholdSeconds: 10, count: 1, longestSeconds: 60, totalSeconds: 60 });
+  assert.deepEqual(quality.issues, ['auto_generated', 'low_coverage', 'long_gaps']);
+  // 0.85 (ASR) * 0.75 (coverage 0.4 of 0.8) * 0.8 (gap capped at 20% of the video)
+  assert.equal(quality.score, 0.51);
+  assert.equal(quality.level, 'low');
+});
+
+test('overlapping cues are not counted twice and short pauses are not gaps', () => {
+  const quality = assessQuality({
+    segments: [{ start: 0, duration: 6, text: 'a' }, { start: 4, duration: 6, text: 'b' }, { start: 15, duration: 5, text: 'c' }],
+    videoDuration: 20,
+    trackKind: 'manual'
+  });
+  assert.equal(quality.coverage.captionedSeconds, 15);
+  assert.equal(quality.gaps.count, 0);
+});
+
+test('non-speech cues', () => {
+  const quality = assessQuality({
+    segments: [
+      { start: 0, duration: 5, text: '[Music]' },
+      { start: 5, duration: 5, text: '♪ ♪' },
+      { start: 10, duration: 5, text: '(applause) thank you' },
+      { start: 15, duration: 5, text: 'hello (quietly)' }
+    ],
+    trackKind: 'manual'
+  });
+  assert.deepEqual(quality.nonSpeech, { tags: 4, segments: 2, ratio: 0.5 });
+  assert.deepEqual(quality.issues, ['mostly_non_speech']);
+  assert.equal(quality.score, 0.75);
+});
+
+test('language match compares base codes and Whisper\'s language names', () => {
+  const language = (requestedLanguage, detectedLanguage) =>
+    assessQuality({ segments: cues(0, 10), requestedLanguage, detectedLanguage }).language.match;
+  assert.equal(language('en', 'en-US'), true);
+  assert.equal(language('es', 'Spanish'), true);
+  assert.equal(language('en', 'de'), false);
+  assert.equal(language('en', null), null);
+
+  const mismatch = assessQuality({ segments: cues(0, 10), trackKind: 'manual', requestedLanguage: 'en', detectedLanguage: 'de' });
+  assert.ok(mismatch.issues.includes('language_mismatch'));
+  assert.equal(mismatch.score, 0.5);
+});
+
+test('translated and empty transcripts', () => {
+  const translated = assessQuality({ segments: cues(0, 10), trackKind: 'manual', translated: true });
+  assert.deepEqual([translated.score, translated.issues], [0.85, ['machine_translated']]);
+
+  const empty = assessQuality({ segments: [], videoDuration: 60 });
+  assert.equal(empty.score, 0);
+  assert.ok(empty.issues.includes('empty'));
+  assert.equal(empty.autoGenerated, null);
+});
+
+test('the language is only judged when one was requested', () => {
+  const quality = assessQuality({ segments: cues(0, 10), trackKind: 'manual', requestedLanguage: null, detectedLanguage: 'es' });
+  assert.deepEqual(quality.language, { requested: null, detected: 'es', match: null });
+  assert.deepEqual(quality.issues, []);
+  assert.equal(quality.score, 1);
+});
+
+test('Whisper\'s language names map to ISO codes beyond the common languages', () => {
+  const match = (requestedLanguage, detectedLanguage) =>
+    assessQuality({ segments: cues(0, 10), requestedLanguage, detectedLanguage }).language.match;
+  assert.equal(match('ht', 'haitian creole'), true);
+  assert.equal(match('my', 'myanmar'), true);
+  assert.equal(match('lo', 'lao'), true);
+  assert.equal(match('pt-BR', 'Portuguese'), true);
+});
@@ -0,0 +1,146 @@
+// test/strategy.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMethodList, resolveStrategy, runRace, runSequential } from '../lib/strategy.js';
+import { createTrace } from '../lib/trace.js';
+
+const KNOWN = ['a', 'b', 'c'];
+const result = text => ({ transcript: text });
+
+// A step that only settles when its signal aborts, and remembers why
+function hangingStep(name, timeoutMs = 0) {
+  const step = {
+    name,
+    timeoutMs,
+    run: ({ signal }) => new Promise((_, reject) => {
+      signal.addEventListener('abort', () => {
+        step.abortReason = signal.reason;
+        reject(signal.reason);
+      }, { once: true });
+    })
+  };
+  return step;
+}
+
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  Object.assign(process.env, values);
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+test('resolveStrategy: request options over env defaults', () => {
+  withEnv({ EXTRACTION_METHODS: 'c,a', EXTRACTION_MODE: 'race', EXTRACTION_TIMEOUT_MS: '5000' }, () => {
+    assert.deepEqual(resolveStrategy({}, KNOWN), { methods: ['c', 'a'], mode: 'race', defaultTimeoutMs: 5000, perMethod: {} });
+    assert.deepEqual(resolveStrategy({ methods: 'b, a,b', mode: 'SEQUENTIAL', timeoutMs: { a: '100' } }, KNOWN), {
+      methods: ['b', 'a'],
+      mode: 'sequential',
+      defaultTimeoutMs: 5000,
+      perMethod: { a: 100 }
+    });
+    assert.equal(resolveStrategy({ timeoutMs: 0 }, KNOWN).defaultTimeoutMs, 0);
+  });
+});
+
+test('parseMethodList: only the given list, never the env default', () => {
+  withEnv({ EXTRACTION_METHODS: 'c' }, () => {
+    assert.deepEqual(parseMethodList('a, b,a', KNOWN), ['a', 'b']);
+    assert.deepEqual(parseMethodList(['c'], KNOWN), ['c']);
+    assert.equal(parseMethodList(undefined, KNOWN), null);
+    assert.equal(parseMethodList(' , ', KNOWN), null);
+  });
+});
+
+test('resolveStrategy: bad input is a 400', () => {
+  const badRequest = pattern => error => error.status === 400 && pattern.test(error.message);
+  assert.throws(() => resolveStrategy({ methods: ['a', 'x'] }, KNOWN), badRequest(/Unknown extraction method\(s\): x/));
+  assert.throws(() => resolveStrategy({ mode: 'parallel' }, KNOWN), badRequest(/Invalid mode/));
+  assert.throws(() => resolveStrategy({ timeoutMs: -1 }, KNOWN), badRequest(/Invalid timeout/));
+  assert.throws(() => resolveStrategy({ timeoutMs: { x: 10 } }, KNOWN), badRequest(/Unknown extraction method in timeoutMs/));
+});
+
+test('runSequential: stops at the first success and records every attempt', async () => {
+  const trace = createTrace('test');
+  const ran = [];
+  const step = (name, run) => ({ name, timeoutMs: 0, run: async context => { ran.push(name); return run(context); } });
+
+  const winner = await runSequential(trace, [
+    step('a', () => { throw new Error('Request failed with status code 429'); }),
+    step('b', () => result('from b')),
+    step('c', () => result('from c'))
+  ], {});
+
+  assert.deepEqual(winner, result('from b'));
+  assert.deepEqual(ran, ['a', 'b']);
+  assert.deepEqual(trace.attempts.map(a => [a.method, a.success, a.category]), [
+    ['a', false, 'rate_limited'],
+    ['b', true, undefined]
+  ]);
+});
+
+test('runSequential: a method past its timeout is aborted and the next one runs', async () => {
+  const trace = createTrace('test');
+  const slow = hangingStep('a', 20);
+
+  const winner = await runSequential(trace, [slow, { name: 'b', timeoutMs: 0, run: async () => result('b') }], {});
+
+  assert.deepEqual(winner, result('b'));
+  assert.equal(slow.abortReason.category, 'timeout');
+  assert.deepEqual(trace.attempts.map(a => [a.method, a.category]), [['a', 'timeout'], ['b', undefined]]);
+  assert.match(trace.attempts[0].details, /Timed out after 20ms/);
+});
+
+test('runSequential: blocked() is asked only when a step is about to start', async () => {
+  const trace = createTrace('test');
+  const asked = [];
+  const gated = (name, answer) => ({
+    name,
+    timeoutMs: 0,
+    blocked: () => { asked.push(name); return answer; },
+    run: async () => result(name)
+  });
+
+  const winner = await runSequential(trace, [
+    gated('a', { details: 'Skipped: breaker open', category: 'circuit_open' }),
+    gated('b', null),
+    gated('c', null)
+  ], {});
+
+  assert.deepEqual(winner, result('b'));
+  assert.deepEqual(asked, ['a', 'b']);
+  assert.deepEqual(trace.attempts.map(a => [a.method, a.success, a.category, a.skipped]), [
+    ['a', false, 'circuit_open', true],
+    ['b', true, undefined, undefined]
+  ]);
+});
+
+test('runRace: the first success wins and the others are cancelled', async () => {
+  const trace = createTrace('test');
+  const loser = hangingStep('a');
+
+  const winner = await runRace(trace, [
+    loser,
+    { name: 'b', timeoutMs: 0, run: async () => { throw new Error('boom'); } },
+    { name: 'c', timeoutMs: 0, run: async () => result('c') }
+  ], {});
+
+  assert.deepEqual(winner, result('c'));
+  assert.equal(loser.abortReason.category, 'cancelled');
+  // The loser's cancellation is on the trace by the time runRace returns
+  assert.deepEqual(
+    Object.fromEntries(trace.attempts.map(a => [a.method, a.success || a.category])),
+    { a: 'cancelled', b: 'unknown', c: true }
+  );
+});
+
+test('runRace: null when every method fails or there is nothing to run', async () => {
+  const failing = name => ({ name, timeoutMs: 0, run: async () => { throw new Error(`${name} failed`); } });
+  assert.equal(await runRace(createTrace('test'), [failing('a'), failing('b')], {}), null);
+  assert.equal(await runRace(createTrace('test'), [], {}), null);
+});
@@ -0,0 +1,93 @@
+// test/youtube-errors.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { YouTubeError, codeFromReason, errorFromAttempts, playabilityError, toYouTubeError } from '../lib/youtube-errors.js';
+import { categorizeError } from '../lib/trace.js';
+
+const failed = (method, extra) => ({ method, success: false, details: 'failed', category: 'unknown', ...extra });
+
+test('codeFromReason reads YouTube\'s reason strings', () => {
+  assert.equal(codeFromReason('Sign in to confirm you\'re not a bot'), 'BLOCKED_BY_YOUTUBE');
+  assert.equal(codeFromReason('Request failed with status code 429'), 'RATE_LIMITED');
+  assert.equal(codeFromReason('This video is private'), 'VIDEO_PRIVATE');
+  assert.equal(codeFromReason('Sign in to confirm your age'), 'AGE_RESTRICTED');
+  assert.equal(codeFromReason('Join this channel to get access to members-only content'), 'MEMBERS_ONLY');
+  assert.equal(codeFromReason('Premieres in 3 hours'), 'LIVE_IN_PROGRESS');
+  assert.equal(codeFromReason('Video unavailable'), 'VIDEO_UNAVAILABLE');
+  assert.equal(codeFromReason('socket hang up'), null);
+});
+
+test('playabilityError maps playabilityStatus to codes', () => {
+  assert.equal(playabilityError({ playabilityStatus: { status: 'OK' } }), null);
+  assert.equal(playabilityError({ playabilityStatus: { status: 'OK' }, videoDetails: { isLive: true } }).code, 'LIVE_IN_PROGRESS');
+  assert.equal(playabilityError({ playabilityStatus: { status: 'AGE_CHECK_REQUIRED' } }).code, 'AGE_RESTRICTED');
+  assert.equal(playabilityError({ playabilityStatus: { status: 'LOGIN_REQUIRED', reason: 'This video is private' } }).code, 'VIDEO_PRIVATE');
+  assert.equal(playabilityError({ playabilityStatus: { status: 'LOGIN_REQUIRED' } }).code, 'BLOCKED_BY_YOUTUBE');
+
+  const error = playabilityError({
+    playabilityStatus: {
+      status: 'ERROR',
+      errorScreen: { playerErrorMessageRenderer: { reason: { runs: [{ text: 'Video ' }, { text: 'unavailable' }] } } }
+    }
+  });
+  assert.equal(error.code, 'VIDEO_UNAVAILABLE');
+  assert.equal(error.status, 404);
+  assert.equal(error.reason, 'Video unavailable');
+});
+
+test('errorFromAttempts: a code about the video beats one about this server', () => {
+  const error = errorFromAttempts([
+    failed('a', { code: 'BLOCKED_BY_YOUTUBE', category: 'blocked' }),
+    failed('b', { details: 'This video is private' }),
+    failed('c', { code: 'RATE_LIMITED', category: 'rate_limited' })
+  ], 'All extraction methods failed');
+  assert.equal(error.code, 'VIDEO_PRIVATE');
+  assert.equal(error.status, 403);
+  assert.equal(error.retryable, false);
+  assert.equal(error.message, 'All extraction methods failed');
+});
+
+test('errorFromAttempts: falls back to categories, ignoring cancelled and skipped attempts', () => {
+  assert.equal(errorFromAttempts([failed('a', { category: 'rate_limited' })]).code, 'RATE_LIMITED');
+  assert.equal(errorFromAttempts([
+    failed('a', { details: 'This video is private', category: 'cancelled' }),
+    failed('b', { details: 'This video is private', skipped: true }),
+    failed('c', { category: 'network' })
+  ]).code, 'EXTRACTION_FAILED');
+  assert.equal(errorFromAttempts([]).code, 'EXTRACTION_FAILED');
+});
+
+test('toYouTubeError keeps YouTubeErrors and explicit statuses', () => {
+  const original = new YouTubeError('NO_CAPTIONS', 'none');
+  assert.equal(toYouTubeError(original), original);
+  assert.equal(toYouTubeError(new Error('Video unavailable')).code, 'VIDEO_UNAVAILABLE');
+
+  const badRequest = toYouTubeError(Object.assign(new Error('Invalid mode'), { status: 400, hint: 'use race' }));
+  assert.deepEqual([badRequest.code, badRequest.status, badRequest.retryable, badRequest.hint], ['EXTRACTION_FAILED', 400, false, 'use race']);
+  assert.equal(new YouTubeError('NOT_A_CODE', 'x').code, 'EXTRACTION_FAILED');
+});
+
+test('errorFromAttempts: being blocked or rate limited beats "no captions"', () => {
+  assert.equal(errorFromAttempts([
+    failed('a', { code: 'NO_CAPTIONS', category: 'no_captions' }),
+    failed('b', { code: 'RATE_LIMITED', category: 'rate_limited' })
+  ]).code, 'RATE_LIMITED');
+  assert.equal(errorFromAttempts([
+    failed('a', { category: 'no_captions' }),
+    failed('b', { details: 'Sign in to confirm you\'re not a bot' })
+  ]).code, 'BLOCKED_BY_YOUTUBE');
+  assert.equal(errorFromAttempts([failed('a', { category: 'no_captions' })]).code, 'NO_CAPTIONS');
+});
+
+test('translation failures get their own code, category and hint', () => {
+  const error = new YouTubeError('TRANSLATION_UNAVAILABLE', 'YouTube cannot translate this video\'s captions into \'xx\'');
+  assert.deepEqual([error.status, error.retryable, error.category], [422, false, 'no_translation']);
+  assert.doesNotMatch(error.hint, /whisperFallback/);
+
+  assert.equal(categorizeError('No translatable caption track available for \'xx\''), 'no_translation');
+  assert.equal(categorizeError('No caption tracks available'), 'no_captions');
+  assert.equal(errorFromAttempts([
+    failed('a', { category: 'no_captions' }),
+    failed('b', { category: 'no_translation' })
+  ]).code, 'TRANSLATION_UNAVAILABLE');
+});
@@ -0,0 +1,68 @@
+// test/youtube-url.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidVideoId, parseListSource, parseVideoId, videoIdFromParams, watchUrl } from '../lib/youtube-url.js';
+
+const ID = 'dQw4w9WgXcQ';
+
+test('parseVideoId accepts raw IDs and every supported URL form', () => {
+  for (const input of [
+    ID,
+    `  ${ID}  `,
+    `https://www.youtube.com/watch?v=${ID}`,
+    `https://www.youtube.com/watch?feature=share&v=${ID}&t=42s`,
+    `youtube.com/watch?v=${ID}`,
+    `http://m.youtube.com/watch?v=${ID}`,
+    `https://music.youtube.com/watch?v=${ID}&list=RDAMVM${ID}`,
+    `https://youtu.be/${ID}?si=abc`,
+    `https://www.youtube.com/shorts/${ID}`,
+    `https://www.youtube.com/embed/${ID}?start=10`,
+    `https://www.youtube-nocookie.com/embed/${ID}`,
+    `https://www.youtube.com/live/${ID}?feature=share`,
+    `https://www.youtube.com/v/${ID}`,
+    `https://www.youtube.com/attribution_link?a=x&u=%2Fwatch%3Fv%3D${ID}%26feature%3Dshare`
+  ]) {
+    assert.equal(parseVideoId(input), ID, input);
+  }
+});
+
+test('parseVideoId rejects other hosts and malformed IDs', () => {
+  for (const input of [
+    null,
+    '',
+    'dQw4w9WgXc',
+    `https://vimeo.com/watch?v=${ID}`,
+    `https://youtube.com.evil.example/watch?v=${ID}`,
+    'https://www.youtube.com/watch?v=short',
+    `https://www.youtube.com/@channel/${ID}`
+  ]) {
+    assert.equal(parseVideoId(input), null, String(input));
+  }
+  assert.equal(isValidVideoId(`${ID}x`), false);
+});
+
+test('videoIdFromParams prefers videoId and explains what is wrong', () => {
+  assert.deepEqual(videoIdFromParams({ videoId: ID, url: 'https://youtu.be/aaaaaaaaaaa' }), { videoId: ID });
+  assert.deepEqual(videoIdFromParams({ url: `https://youtu.be/${ID}` }), { videoId: ID });
+  assert.match(videoIdFromParams({}).error, /Missing required parameter/);
+  assert.match(videoIdFromParams({ url: 'not a video' }).error, /Invalid YouTube URL or video ID/);
+  assert.equal(watchUrl(ID), `https://www.youtube.com/watch?v=${ID}`);
+});
+
+test('parseListSource recognizes playlists and channels', () => {
+  const playlistId = 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf';
+  const channelId = 'UCuAXFkgsw1L7xaCfnd5JJOw';
+  assert.deepEqual(parseListSource(playlistId), { type: 'playlist', playlistId });
+  assert.deepEqual(parseListSource(`https://www.youtube.com/playlist?list=${playlistId}`), { type: 'playlist', playlistId });
+  assert.deepEqual(parseListSource(`https://www.youtube.com/watch?v=${ID}&list=${playlistId}`), { type: 'playlist', playlistId });
+  assert.deepEqual(parseListSource(channelId), { type: 'channel', channelId });
+  assert.deepEqual(parseListSource(`https://www.youtube.com/channel/${channelId}/videos`), { type: 'channel', channelId });
+  assert.deepEqual(parseListSource('@SomeChannel'), { type: 'channel', handle: '@SomeChannel' });
+  assert.deepEqual(parseListSource('https://youtube.com/@SomeChannel/videos'), { type: 'channel', handle: '@SomeChannel' });
+  assert.deepEqual(parseListSource('https://www.youtube.com/c/SomeName'), { type: 'channel', path: '/c/SomeName' });
+  assert.equal(parseListSource(`https://www.youtube.com/watch?v=${ID}`), null);
+  assert.equal(parseListSource('https://example.com/playlist?list=' + playlistId), null);
+  // Malformed percent-encoding is just not a list source
+  assert.equal(parseListSource('https://youtube.com/%'), null);
+  assert.equal(parseListSource('https://youtube.com/%E0%A4%A'), null);
+});
@@ -0,0 +1,61 @@
+// test/zip.test.js
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { crc32, createZip } from '../lib/zip.js';
+
+// Entries read back through the central directory: [{ name, method, crc, data }]
+function readZip(archive) {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(offset), 0x02014b50);
+    const method = archive.readUInt16LE(offset + 10);
+    const crc = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    assert.equal(archive.readUInt32LE(localOffset), 0x04034b50);
+    const bodyStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const body = archive.subarray(bodyStart, bodyStart + compressedSize);
+    entries.push({ name, method, crc, data: method === 8 ? zlib.inflateRawSync(body) : body });
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('createZip round-trips deflated and stored entries', () => {
+  const longText = 'never gonna give you up\n'.repeat(200);
+  const entries = readZip(createZip([
+    { name: 'dQw4w9WgXcQ.txt', data: longText },
+    { name: 'tiny.txt', data: 'hi' },
+    { name: 'bytes.bin', data: Buffer.from([0, 1, 2, 3]) }
+  ]));
+
+  assert.deepEqual(entries.map(e => [e.name, e.method]), [['dQw4w9WgXcQ.txt', 8], ['tiny.txt', 0], ['bytes.bin', 0]]);
+  assert.equal(entries[0].data.toString('utf8'), longText);
+  assert.equal(entries[1].data.toString('utf8'), 'hi');
+  assert.deepEqual([...entries[2].data], [0, 1, 2, 3]);
+  for (const entry of entries) assert.equal(entry.crc, crc32(entry.data));
+});
+
+test('createZip stores UTF-8 names with the UTF-8 flag set', () => {
+  const archive = createZip([{ name: 'Café – résumé.md', data: '# Chapitre' }]);
+  assert.equal(archive.readUInt16LE(6) & 0x0800, 0x0800);
+  assert.equal(readZip(archive)[0].name, 'Café – résumé.md');
+});
+
+test('createZip writes an empty archive for no files', () => {
+  const archive = createZip([]);
+  assert.equal(archive.length, 22);
+  assert.deepEqual(readZip(archive), []);
+});